@@ -6,6 +6,9 @@
  *   arcl add <file> "<instruction>"
  *   arcl edit <file> "<instruction>"
  *   arcl remove <file>
+ *   arcl change "<intent>" <file> [file...]
+ *   arcl undo [N]
+ *   arcl rollback <entry-id>
  * 
  * Project Creation:
  *   arcl create project "<description>"
@@ -13,7 +16,22 @@
  * Read-Only:
  *   arcl ask <path> "<question>"
  * 
+ * History:
+ *   arcl history [--limit N]
+ *   arcl history stats
+ *   arcl history export json|csv|md [--out <file>]
+ *   arcl history verify [<head>]
+ *   arcl history head
+ *   Filters: --command --result --provider --file <glob> --since --until
+ * 
  * Utilities:
+ *   arcl config [list]
+ *   arcl config get|explain <key>
+ *   arcl config set <key> <value> [--global]
+ *   arcl config unset <key> [--global]
+ *   arcl config init [--global]
+ *   arcl config validate
+ *   arcl init
  *   arcl ls
  *   arcl tree
  *   arcl templates
@@ -21,6 +39,10 @@
  * 
  * Flags:
  *   --dry-run  Preview without applying changes
+ *   --partial  Apply the hunks that fit, save the rest to <file>.rej
+ *   --force    Undo/rollback even over files changed outside arcl
+ *   --config <key>=<value>  Override a setting for this run
+ *   --global   arcl config set/unset/init: write the user config
  * 
  * No chat. No magic. Boring but trustworthy.
  */
@@ -28,11 +50,14 @@
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
-import { callLLM, callScaffoldLLM, callAskLLM, callExplainLLM, validateDiffFormat } from './llm.js';
-import { applyDiffToFile } from './applyDiff.js';
+import { callLLM, callMultiFileLLM, callScaffoldLLM, callAskLLM, callExplainLLM, validateDiffFormat } from './llm.js';
+import { applyPatch, applyDiffToFile, applyDiffsToFiles, prepareChange, createUnifiedDiff, DIFF_KINDS } from './applyDiff.js';
 import {
   getDefaultWorkspaceRoot,
+  getCurrentProject,
   validatePath,
+  setPathPolicy,
+  checkPathPolicy,
   listDirectory,
   buildTree
 } from './workspace.js';
@@ -40,16 +65,22 @@ import {
   planProject,
   validatePlan,
   createStructure,
-  writeProjectFile,
+  writeProjectFiles,
   rollbackProject,
   createVenv,
   buildProjectPrompt,
   parseProjectOutput,
   listTemplates
 } from './scaffold.js';
-import { readFileUTF8, writeFileUTF8, fileExists, copyFileUTF8, deleteFile } from './io.js';
-import { recordCommand, getCurrentProvider, getLastEntries, getEntriesForFile } from './history.js';
-import { loadConfig, validateAgainstPolicy } from './config.js';
+import { readFileUTF8, writeFileUTF8, fileExists, setFormatPolicy, setLimitsPolicy, classifyFile, checkLineEndings } from './io.js';
+import { runTransaction, recoverTransactions } from './transaction.js';
+import { storeBackup, setRetentionPolicy, getFileHash, getObjectPath } from './backup.js';
+import { selectLast, selectSince, planRevert, applyRevert } from './undo.js';
+import { recordCommand, getLastEntries, getEntriesForFile, readHistory, getHistoryPath, getArclDir, getWorkspaceArclDir, findArclDir, setArclContext, initArclDir, getChainHead, verifyHistory, queryHistory, parseTimeBound } from './history.js';
+import { computeStats, exportHistory, describeFilter, displayPath, formatRate } from './report.js';
+import { loadConfig, readConfigLayers, setConfigOverrides, initConfig, getConfigPath, getGlobalConfigPath, getEnvName, getSettingSchema, getSettingValue, checkSettingKey, setConfigValue, unsetConfigValue, describeExpected, DEFAULT_CONFIG, validateAgainstPolicy, checkDiffSecrets, loadPolicyModules, runPolicyModules, getPatchOptions, getFormatPolicy, getLimitsPolicy, getPathPolicy, getSecretPolicy, getProviderSettings } from './config.js';
+import { setSecretPolicy } from './secrets.js';
+import { getProviderName, setProviderSettings } from './providers/index.js';
 
 // ─────────────────────────────────────────────────────────────
 // Utilities
@@ -74,6 +105,149 @@ async function confirm(prompt) {
   });
 }
 
+/**
+ * Prints hunks that did not land exactly where the diff said.
+ * Fuzzy-applied hunks are flagged for close review.
+ * @param {Object[]} hunks - HunkReport list from applyPatch
+ * @param {string} [label] - File label prefix (multi-file)
+ */
+function printHunkReport(hunks, label = '') {
+  const prefix = label ? `${label}: ` : '';
+  
+  for (const hunk of hunks) {
+    if (hunk.fuzzy) {
+      console.log(`[FUZZY] ${prefix}Hunk #${hunk.index} ${hunk.header} applied by fuzzy match at line ${hunk.line} (confidence ${hunk.confidence.toFixed(2)}) - review closely`);
+    } else if (hunk.offset !== 0 || hunk.fuzz > 0) {
+      const notes = [];
+      if (hunk.offset !== 0) notes.push(`offset ${hunk.offset}`);
+      if (hunk.fuzz > 0) notes.push(`fuzz ${hunk.fuzz}`);
+      console.log(`[MOVED] ${prefix}Hunk #${hunk.index} ${hunk.header} applies at line ${hunk.line} (${notes.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Prints the hunks a partial apply will leave out, and where they go.
+ * @param {Object[]} hunks
+ * @param {string} rejectPath - .rej file that will receive them
+ * @param {string} [label] - File label for multi-file output
+ */
+function printConflictReport(hunks, rejectPath, label = '') {
+  const prefix = label ? `${label}: ` : '';
+  const failed = hunks.filter(h => !h.applied);
+  
+  console.log(`[CONFLICT] ${prefix}${hunks.length - failed.length} of ${hunks.length} hunk(s) apply, ${failed.length} rejected:`);
+  for (const hunk of failed) {
+    console.log(`  Hunk #${hunk.index} ${hunk.header}: ${hunk.reason}`);
+  }
+  console.log(`  Rejected hunks will be written to: ${rejectPath}`);
+}
+
+/**
+ * Summarizes rejected hunks for the history entry.
+ * @param {Object[]} hunks
+ * @param {string} file
+ * @returns {Array<{file: string, hunk: string, reason: string}>}
+ */
+function rejectedHunks(hunks, file) {
+  return hunks
+    .filter(h => !h.applied)
+    .map(h => ({ file, hunk: h.header, reason: h.reason }));
+}
+
+/**
+ * Rebuilds the diff that was actually applied from each file's content
+ * before (its backup) and after (what is on disk now), so fuzzy
+ * placement and rejected hunks show exactly as they landed.
+ * @param {Array<{file: string, before: string|null}>} changes
+ * @returns {string} Combined unified diff, paths relative to the workspace root
+ */
+function appliedDiff(changes) {
+  const root = getDefaultWorkspaceRoot();
+  
+  return changes.map(({ file, before }) => {
+    const relativePath = path.relative(root, file).split(path.sep).join('/');
+    const oldContent = before ? readFileUTF8(getObjectPath(before)).content : '';
+    const newContent = fileExists(file) ? readFileUTF8(file).content : null;
+    return createUnifiedDiff(oldContent || '', newContent || '', {
+      oldPath: before ? relativePath : null,
+      newPath: newContent === null ? null : relativePath
+    });
+  }).join('');
+}
+
+/**
+ * Builds the history `changes` list and applied diff: each file's hash
+ * before (its backup, null if it did not exist) and after (on disk now).
+ * @param {Array<{file: string, before: string|null}>} files
+ * @returns {{changes: Array<{file: string, before: string|null, after: string|null}>, diff: string}}
+ */
+function recordedChanges(files) {
+  const changes = files.map(({ file, before }) => ({ file, before, after: getFileHash(file) }));
+  return { changes, diff: appliedDiff(changes) };
+}
+
+/**
+ * Picks the provider, model and token usage of an LLM call for history.
+ * @param {Object} response - Result of callLLM, callMultiFileLLM, ...
+ * @returns {{provider: string, model: string|null, usage: Object|null}}
+ */
+function llmInfo(response) {
+  return {
+    provider: response.provider || getProviderName(),
+    model: response.model || null,
+    usage: response.usage || null
+  };
+}
+
+/**
+ * Lists the files an applyDiffsToFiles call changed, for fileChanges.
+ * A rename changes two paths: the old one is gone, the new one is new.
+ * @param {Object[]} applied - MultiApplyResult.applied
+ * @returns {Array<{file: string, before: string|null}>}
+ */
+function appliedFiles(applied) {
+  return applied.flatMap(a => a.newFilePath
+    ? [{ file: a.filePath, before: a.backupHash }, { file: a.newFilePath, before: null }]
+    : [{ file: a.filePath, before: a.backupHash }]);
+}
+
+/**
+ * Lists the renames an applyDiffsToFiles call made, so history follows
+ * a file to its new name.
+ * @param {Object[]} applied - MultiApplyResult.applied
+ * @returns {Array<{from: string, to: string}>}
+ */
+function appliedRenames(applied) {
+  return applied.filter(a => a.newFilePath).map(a => ({ from: a.filePath, to: a.newFilePath }));
+}
+
+/**
+ * Runs the .arcl/policies modules over a command's diffs, printing every
+ * warning and failure. A module that cannot be loaded fails the check.
+ * @param {string} command - add, edit or change
+ * @param {Array<{filePath: string, diff: string}>} diffs
+ * @param {Object} config - Effective configuration
+ * @returns {Promise<{passed: boolean, results: Object[], error?: string}>}
+ */
+async function checkPolicyModules(command, diffs, config) {
+  const loadResult = await loadPolicyModules();
+  if (!loadResult.success) {
+    return { passed: false, results: [], error: loadResult.error };
+  }
+
+  const run = await runPolicyModules(loadResult.policies, command, diffs, config);
+  for (const r of run.results.filter(r => r.status !== 'pass')) {
+    const label = `[${r.status.toUpperCase()}]`.padEnd(7);
+    console.error(`${label}policy ${r.policy}: ${path.relative(process.cwd(), r.file)}${r.message ? `: ${r.message}` : ''}`);
+  }
+
+  const failed = run.results.filter(r => r.status === 'fail').map(r => r.policy);
+  return failed.length === 0
+    ? run
+    : { ...run, error: `Policy violation: rejected by ${[...new Set(failed)].join(', ')} (.arcl/policies)` };
+}
+
 // ─────────────────────────────────────────────────────────────
 // Help
 // ─────────────────────────────────────────────────────────────
@@ -87,6 +261,13 @@ TRANSACTIONAL COMMANDS (single-file, safe):
   arcl edit <file> "<instruction>"    Modify an existing file
   arcl remove <file>                  Delete a file
 
+MULTI-FILE (one reviewed unit):
+  arcl change "<intent>" <file>...    Modify several files together
+
+UNDO (from history):
+  arcl undo [N]                       Revert the last N commands (default 1)
+  arcl rollback <entry-id>            Revert every command after a history entry
+
 PROJECT CREATION (template-based):
   arcl create project "<description>"
   arcl create project --template <name> "<description>"
@@ -97,11 +278,33 @@ READ-ONLY (understand code):
   arcl explain last                   Explain last change
   arcl explain <file>                 Explain changes to file
 
+HISTORY:
+  arcl history                        List recent entries (--limit N, 0 = all)
+  arcl history stats                  Success/reject rates per provider, most changed files
+  arcl history export json|csv|md     Export for review (--out <file>, else stdout)
+  arcl history verify [<head>]        Check the history hash chain
+  arcl history head                   Print the chain head to anchor elsewhere
+  Filters: --command edit,change  --result rejected  --provider gemini
+           --file "src/**/*.js"  --since 7d  --until 2026-01-31
+
 FLAGS:
   --dry-run                          Preview changes without applying
+  --partial                          Apply hunks that fit, reject the rest to <file>.rej
+  --force                            Undo/rollback over files changed outside arcl
   --template <name>                  Use specific template for project
+  --out <file>                       Write a history export to a file
+  --config <key>=<value>             Override a setting for this run (repeatable)
+  --global                           arcl config set/unset/init: write the user config
 
 UTILITIES:
+  arcl config [list]                  Show effective settings and where each came from
+  arcl config get <key>               Print a setting's effective value
+  arcl config explain <key>           Show a setting's default, effective value and the layers that set it
+  arcl config set <key> <value>       Set a setting in the nearest .arcl/config.json (--global: user config)
+  arcl config unset <key>             Remove a setting from the nearest .arcl/config.json (--global: user config)
+  arcl config init                    Write a config.json with every default (--global: user config)
+  arcl config validate                Check every config file, ARCL_* variable and --config flag
+  arcl init                           Give this project its own .arcl (history, backups, config)
   arcl ls                             List directory contents
   arcl tree                           Show directory tree
   arcl --help                         Show this help
@@ -110,11 +313,16 @@ EXAMPLES:
   arcl add main.py "hello world script"
   arcl edit main.py "add error handling"
   arcl edit --dry-run main.py "add logging"
+  arcl change "rename getUser to fetchUser" src/api.js src/app.js
+  arcl undo 2
   arcl ask src/main.py "explain the main function"
   arcl explain last
+  arcl history stats --since 30d
+  arcl history export md --command change --out review.md
   arcl create project --template python-fastapi "REST API for users"
 
 WORKSPACE: ${workspaceRoot}
+STATE:     ${getArclDir()}
 `);
 }
 
@@ -155,38 +363,61 @@ async function addCommand(filePath, instruction, options = {}) {
   console.log('');
 
   const response = await callLLM({
-    fileContent: '# New file - generate content below',
+    fileContent: '',
     filePath: path.basename(absolutePath),
     instruction: `Generate the complete content for a new file. Requirements: ${instruction}
 
-Output the content as a unified diff that ADDS all lines to an empty file. Example format:
---- a/filename
+Output the content as a unified diff that creates the file. Example format:
+--- /dev/null
 +++ b/filename
 @@ -0,0 +1,N @@
 +line1
 +line2
-...`
+...`,
+    isNewFile: true
   });
 
   if (!response.success) {
     console.error(`Error: LLM call failed: ${response.error}`);
-    recordCommand({ command: 'add', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'failed', error: response.error });
+    recordCommand({ command: 'add', files: absolutePath, instruction, ...llmInfo(response), result: 'failed', error: response.error });
     return 1;
   }
 
-  let content = '';
-  
-  if (response.diff.includes('---') && response.diff.includes('+++') && response.diff.includes('@@')) {
-    const lines = response.diff.split('\n');
-    const addedLines = lines
-      .filter(l => l.startsWith('+') && !l.startsWith('+++'))
-      .map(l => l.slice(1));
-    content = addedLines.join('\n');
-  } else if (response.diff === 'NO_CHANGES') {
+  if (response.diff === 'NO_CHANGES') {
     console.log('No content generated.');
     return 0;
-  } else {
-    content = response.diff;
+  }
+
+  // The new-file diff goes through the same pipeline as every other diff
+  const validation = validateDiffFormat(response.diff, path.basename(absolutePath), { kinds: ['create'] });
+  const preview = validation.valid
+    ? prepareChange({ filePath: absolutePath, diff: response.diff })
+    : { success: false, error: validation.error };
+  if (!preview.success) {
+    console.error(`Error: ${preview.error}`);
+    recordCommand({ command: 'add', files: absolutePath, instruction, ...llmInfo(response), result: 'failed', error: preview.error });
+    return 1;
+  }
+  const content = preview.writes[0].content;
+
+  const configResult = loadConfig();
+  if (configResult.success) {
+    const secretCheck = checkDiffSecrets(response.diff, configResult.config, absolutePath);
+    if (!secretCheck.valid) {
+      console.error(`Error: ${secretCheck.error}`);
+      recordCommand({ command: 'add', files: absolutePath, instruction, ...llmInfo(response), result: 'failed', error: secretCheck.error });
+      return 1;
+    }
+  }
+
+  const moduleCheck = configResult.success
+    ? await checkPolicyModules('add', [{ filePath: absolutePath, diff: response.diff }], configResult.config)
+    : { passed: true, results: [] };
+  const recordInfo = { ...llmInfo(response), policies: moduleCheck.results };
+  if (!moduleCheck.passed) {
+    console.error(`Error: ${moduleCheck.error}`);
+    recordCommand({ command: 'add', files: absolutePath, instruction, ...recordInfo, result: 'failed', error: moduleCheck.error });
+    return 1;
   }
 
   console.log('--- Preview ---');
@@ -197,36 +428,36 @@ Output the content as a unified diff that ADDS all lines to an empty file. Examp
   // Dry run stops here
   if (dryRun) {
     console.log('[DRY RUN] No files written.');
-    recordCommand({ command: 'add', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'dry-run' });
+    recordCommand({ command: 'add', files: absolutePath, instruction, ...recordInfo, result: 'dry-run' });
     return 0;
   }
 
   const shouldApply = await confirm('Write file? [y/N] ');
   if (!shouldApply) {
     console.log('Aborted.');
-    recordCommand({ command: 'add', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'rejected' });
+    recordCommand({ command: 'add', files: absolutePath, instruction, ...recordInfo, result: 'rejected' });
     return 0;
   }
 
-  // Write file using UTF-8 encoding (io.js handles directory creation)
-  const writeResult = writeFileUTF8(absolutePath, content);
+  // Write file through a journaled transaction (io.js handles directory creation)
+  const writeResult = applyDiffsToFiles([{ filePath: absolutePath, diff: response.diff }], { command: 'add' });
   if (writeResult.success) {
     console.log(`Created: ${absolutePath}`);
-    recordCommand({ command: 'add', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'success' });
+    recordCommand({ command: 'add', files: absolutePath, instruction, ...recordInfo, result: 'success', ...recordedChanges(appliedFiles(writeResult.applied)) });
     return 0;
   } else {
     console.error(`Error: Failed to write file: ${writeResult.error}`);
-    recordCommand({ command: 'add', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'failed', error: writeResult.error });
+    recordCommand({ command: 'add', files: absolutePath, instruction, ...recordInfo, result: 'failed', error: writeResult.error });
     return 1;
   }
 }
 
 // ─────────────────────────────────────────────────────────────
-// arcl edit <file> "<instruction>" [--dry-run]
+// arcl edit <file> "<instruction>" [--dry-run] [--partial]
 // ─────────────────────────────────────────────────────────────
 
 async function editCommand(filePath, instruction, options = {}) {
-  const { dryRun = false } = options;
+  const { dryRun = false, partial = false } = options;
   
   const pathCheck = validatePath(filePath);
   if (!pathCheck.valid) {
@@ -242,6 +473,18 @@ async function editCommand(filePath, instruction, options = {}) {
     return 1;
   }
 
+  const fileClass = classifyFile(absolutePath);
+  if (!fileClass.ok) {
+    console.error(`Error: Cannot edit ${absolutePath}: ${fileClass.reason}`);
+    return 1;
+  }
+
+  const endings = checkLineEndings(absolutePath);
+  if (!endings.success) {
+    console.error(`Error: Cannot edit ${absolutePath}: ${endings.error}`);
+    return 1;
+  }
+
   const readResult = readFileUTF8(absolutePath);
   if (!readResult.success) {
     console.error(`Error: Failed to read file: ${readResult.error}`);
@@ -262,7 +505,7 @@ async function editCommand(filePath, instruction, options = {}) {
 
   if (!response.success) {
     console.error(`Error: LLM call failed: ${response.error}`);
-    recordCommand({ command: 'edit', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'failed', error: response.error });
+    recordCommand({ command: 'edit', files: absolutePath, instruction, ...llmInfo(response), result: 'failed', error: response.error });
     return 1;
   }
 
@@ -273,46 +516,78 @@ async function editCommand(filePath, instruction, options = {}) {
       return 0;
     }
     console.error(`Error: ${validation.error}`);
-    recordCommand({ command: 'edit', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'failed', error: validation.error });
+    recordCommand({ command: 'edit', files: absolutePath, instruction, ...llmInfo(response), result: 'failed', error: validation.error });
     return 1;
   }
 
   // Validate against policy guardrails
   const configResult = loadConfig();
   if (configResult.success) {
-    const policyCheck = validateAgainstPolicy(response.diff, configResult.config);
+    const policyCheck = validateAgainstPolicy(response.diff, configResult.config, absolutePath);
     if (!policyCheck.valid) {
       console.error(`Error: ${policyCheck.error}`);
-      recordCommand({ command: 'edit', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'failed', error: policyCheck.error });
+      recordCommand({ command: 'edit', files: absolutePath, instruction, ...llmInfo(response), result: 'failed', error: policyCheck.error });
       return 1;
     }
   }
 
+  const moduleCheck = configResult.success
+    ? await checkPolicyModules('edit', [{ filePath: absolutePath, diff: response.diff }], configResult.config)
+    : { passed: true, results: [] };
+  const recordInfo = { ...llmInfo(response), policies: moduleCheck.results };
+  if (!moduleCheck.passed) {
+    console.error(`Error: ${moduleCheck.error}`);
+    recordCommand({ command: 'edit', files: absolutePath, instruction, ...recordInfo, result: 'failed', error: moduleCheck.error });
+    return 1;
+  }
+
+  // Place every hunk in memory before asking for confirmation
+  const patchOptions = { ...(configResult.success ? getPatchOptions(configResult.config) : {}), partial };
+  const preview = applyPatch(fileContent, response.diff, patchOptions);
+  if (!preview.success) {
+    console.error(`Error: ${preview.error}`);
+    if (!partial && preview.failedHunks.length < preview.hunks.length) {
+      console.error('Use --partial to apply the hunks that fit and save the rest to a .rej file.');
+    }
+    recordCommand({ command: 'edit', files: absolutePath, instruction, ...recordInfo, result: 'failed', error: preview.error });
+    return 1;
+  }
+
   console.log(response.diff);
+  printHunkReport(preview.hunks);
+  if (preview.partial) {
+    printConflictReport(preview.hunks, `${absolutePath}.rej`);
+  }
   console.log('');
 
   // Dry run stops here
   if (dryRun) {
     console.log('[DRY RUN] No changes applied.');
-    recordCommand({ command: 'edit', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'dry-run' });
+    recordCommand({ command: 'edit', files: absolutePath, instruction, ...recordInfo, result: 'dry-run' });
     return 0;
   }
 
   const approved = await confirm('Apply? [y/N] ');
   if (!approved) {
     console.log('Aborted.');
-    recordCommand({ command: 'edit', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'rejected' });
+    recordCommand({ command: 'edit', files: absolutePath, instruction, ...recordInfo, result: 'rejected' });
     return 0;
   }
 
-  const result = applyDiffToFile(absolutePath, response.diff);
-  if (result.success) {
+  const result = applyDiffToFile(absolutePath, response.diff, patchOptions);
+  if (result.success && result.partial) {
+    const rejected = rejectedHunks(result.hunks, absolutePath);
+    console.log(`Partially applied: ${result.hunks.length - rejected.length} of ${result.hunks.length} hunk(s).`);
+    console.log(`Rejected hunks saved to: ${result.rejectPath}`);
+    recordCommand({ command: 'edit', files: absolutePath, instruction, ...recordInfo, result: 'partial', rejectedHunks: rejected, rejectFiles: [result.rejectPath], ...recordedChanges([{ file: absolutePath, before: result.backupHash }]) });
+    return 0;
+  } else if (result.success) {
     console.log('Applied.');
-    recordCommand({ command: 'edit', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'success' });
+    recordCommand({ command: 'edit', files: absolutePath, instruction, ...recordInfo, result: 'success', ...recordedChanges([{ file: absolutePath, before: result.backupHash }]) });
     return 0;
   } else {
     console.error(`Error: Failed to apply diff: ${result.error}`);
-    recordCommand({ command: 'edit', files: absolutePath, instruction, provider: getCurrentProvider(), result: 'failed', error: result.error });
+    recordCommand({ command: 'edit', files: absolutePath, instruction, ...recordInfo, result: 'failed', error: result.error });
     return 1;
   }
 }
@@ -343,28 +618,366 @@ async function removeCommand(filePath) {
   }
 
   console.log(`File: ${absolutePath}`);
-  const shouldDelete = await confirm('Delete this file? This cannot be undone. [y/N] ');
+  const shouldDelete = await confirm('Delete this file? [y/N] ');
 
   if (!shouldDelete) {
     console.log('Aborted.');
+    recordCommand({ command: 'remove', files: absolutePath, instruction: '', provider: 'none', result: 'rejected' });
     return 0;
   }
 
-  const backupPath = absolutePath + '.deleted.bak';
-  const backupResult = copyFileUTF8(absolutePath, backupPath);
-  if (!backupResult.success) {
-    console.error(`Warning: Could not create backup: ${backupResult.error}`);
+  const backup = storeBackup(absolutePath, 'remove');
+  if (!backup.success) {
+    console.error(`Error: Could not create backup: ${backup.error}`);
+    console.error('File not deleted.');
+    return 1;
   }
 
-  const deleteResult = deleteFile(absolutePath);
+  const deleteResult = runTransaction('remove', [{ type: 'delete', path: absolutePath }]);
   if (deleteResult.success) {
     console.log(`Deleted: ${absolutePath}`);
-    if (fileExists(backupPath)) {
-      console.log(`Backup: ${backupPath}`);
-    }
+    console.log(`Backup: ${backup.hash.slice(0, 12)} (${backup.path})`);
+    recordCommand({ command: 'remove', files: absolutePath, instruction: '', provider: 'none', result: 'success', ...recordedChanges([{ file: absolutePath, before: backup.hash }]) });
     return 0;
   } else {
     console.error(`Error: Failed to delete: ${deleteResult.error}`);
+    recordCommand({ command: 'remove', files: absolutePath, instruction: '', provider: 'none', result: 'failed', error: deleteResult.error });
+    return 1;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// arcl undo [N] / arcl rollback <entry-id> [--dry-run] [--force]
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Shows a revert plan, checks it, and carries it out after confirmation.
+ * @param {'undo'|'rollback'} command
+ * @param {Object[]} history - Full history, oldest first
+ * @param {Object[]} entries - Entries to revert, newest first
+ * @param {string} instruction - Command line, for the history entry
+ * @param {Object} options
+ */
+async function revertCommand(command, history, entries, instruction, options) {
+  const { dryRun = false, force = false } = options;
+  const plan = planRevert(history, entries);
+
+  console.log(`Reverting ${entries.length} command(s):`);
+  for (const entry of entries) {
+    console.log(`  ${entry.id}  ${entry.timestamp}  ${entry.command}  ${entry.instruction ? `"${entry.instruction}"` : ''}`);
+  }
+  console.log('');
+  for (const f of plan.files) {
+    if (f.actual === f.target) {
+      console.log(`  [UNCHANGED] ${f.file}`);
+    } else if (f.target === null) {
+      console.log(`  [DELETE]    ${f.file}`);
+    } else {
+      console.log(`  [RESTORE]   ${f.file}`);
+    }
+  }
+  console.log('');
+
+  if (plan.unavailable.length > 0) {
+    console.error('Error: Restore point missing or damaged for:');
+    for (const f of plan.unavailable) {
+      console.error(`  ${f.file} (${f.target.slice(0, 12)})`);
+    }
+    console.error('It may have been pruned by backup_retention. Nothing was changed.');
+    return 1;
+  }
+
+  if (plan.conflicts.length > 0) {
+    const label = force ? 'Warning' : 'Error';
+    console.error(`${label}: Changed outside arcl since the last recorded command:`);
+    for (const f of plan.conflicts) {
+      console.error(`  ${f.file}${f.actual === null ? ' (deleted)' : ''}`);
+    }
+    if (!force) {
+      console.error('Use --force to overwrite them (their current content is backed up first).');
+      return 1;
+    }
+  }
+
+  if (dryRun) {
+    console.log('[DRY RUN] No changes applied.');
+    return 0;
+  }
+
+  const approved = await confirm(`${command === 'undo' ? 'Undo' : 'Roll back'} ${entries.length} command(s)? [y/N] `);
+  if (!approved) {
+    console.log('Aborted.');
+    return 0;
+  }
+
+  const files = plan.files.map(f => f.file);
+  const result = applyRevert(plan, command);
+  if (!result.success) {
+    console.error(`Error: ${command} failed: ${result.error}`);
+    console.error('No files were changed.');
+    recordCommand({ command, files, instruction, provider: 'none', result: 'failed', error: result.error });
+    return 1;
+  }
+
+  console.log(`Reverted ${entries.length} command(s), ${result.changes.length} file(s) changed.`);
+  recordCommand({ command, files, instruction, provider: 'none', result: 'success', changes: result.changes, diff: appliedDiff(result.changes), reverts: entries.map(e => e.id) });
+  return 0;
+}
+
+async function undoCommand(countArg, options = {}) {
+  const count = countArg === undefined ? 1 : Number(countArg);
+  if (!Number.isInteger(count) || count < 1) {
+    console.error(`Error: Invalid count: ${countArg}`);
+    console.error('Usage: arcl undo [N]');
+    return 1;
+  }
+
+  const historyResult = readHistory();
+  if (!historyResult.success) {
+    console.error(`Error: ${historyResult.error}`);
+    return 1;
+  }
+
+  const selection = selectLast(historyResult.entries, count);
+  if (!selection.success) {
+    console.error(`Error: ${selection.error}`);
+    return 1;
+  }
+
+  return revertCommand('undo', historyResult.entries, selection.entries, `undo ${count}`, options);
+}
+
+async function rollbackCommand(entryId, options = {}) {
+  const historyResult = readHistory();
+  if (!historyResult.success) {
+    console.error(`Error: ${historyResult.error}`);
+    return 1;
+  }
+
+  const selection = selectSince(historyResult.entries, entryId);
+  if (!selection.success) {
+    console.error(`Error: ${selection.error}`);
+    return 1;
+  }
+
+  console.log(`Rolling back to ${selection.target.id} (${selection.target.command}, ${selection.target.timestamp})`);
+  return revertCommand('rollback', historyResult.entries, selection.entries, `rollback ${selection.target.id}`, options);
+}
+
+// ─────────────────────────────────────────────────────────────
+// arcl change "<intent>" <file> [file...] [--dry-run] [--partial]
+// ─────────────────────────────────────────────────────────────
+
+async function changeCommand(intent, filePaths, options = {}) {
+  const { dryRun = false, partial = false } = options;
+  
+  const files = [];
+  
+  for (const filePath of filePaths) {
+    const pathCheck = validatePath(filePath);
+    if (!pathCheck.valid) {
+      console.error(`Error: ${pathCheck.error}`);
+      return 1;
+    }
+    
+    const absolutePath = pathCheck.absolutePath;
+    
+    if (!fileExists(absolutePath)) {
+      console.error(`Error: File not found: ${absolutePath}`);
+      console.error('Use "arcl add" to create new files.');
+      return 1;
+    }
+    
+    // One transaction, one history: every file must keep its state in the same .arcl
+    const arclDir = findArclDir(path.dirname(absolutePath)) || getWorkspaceArclDir();
+    if (arclDir !== getArclDir()) {
+      console.error(`Error: ${absolutePath} keeps its arcl state in ${arclDir}, not ${getArclDir()}`);
+      console.error('Run "arcl change" separately for the files of each .arcl directory.');
+      return 1;
+    }
+    
+    if (files.some(f => f.absolutePath === absolutePath)) {
+      continue;
+    }
+    
+    const fileClass = classifyFile(absolutePath);
+    if (!fileClass.ok) {
+      console.error(`Error: Cannot edit ${absolutePath}: ${fileClass.reason}`);
+      return 1;
+    }
+    
+    const endings = checkLineEndings(absolutePath);
+    if (!endings.success) {
+      console.error(`Error: Cannot edit ${absolutePath}: ${endings.error}`);
+      return 1;
+    }
+    
+    const readResult = readFileUTF8(absolutePath);
+    if (!readResult.success) {
+      console.error(`Error: Failed to read ${absolutePath}: ${readResult.error}`);
+      return 1;
+    }
+    
+    files.push({
+      absolutePath,
+      path: path.relative(process.cwd(), absolutePath).split(path.sep).join('/'),
+      content: readResult.content
+    });
+  }
+  
+  const absolutePaths = files.map(f => f.absolutePath);
+  
+  console.log('Files:');
+  for (const file of files) {
+    console.log(`  ${file.absolutePath}`);
+  }
+  console.log(`Intent: ${intent}`);
+  if (dryRun) console.log('[DRY RUN]');
+  console.log('');
+  
+  const response = await callMultiFileLLM({
+    intent,
+    files: files.map(f => ({ path: f.path, content: f.content }))
+  });
+  
+  if (!response.success) {
+    console.error(`Error: LLM call failed: ${response.error}`);
+    recordCommand({ command: 'change', files: absolutePaths, instruction: intent, ...llmInfo(response), result: 'failed', error: response.error });
+    return 1;
+  }
+  
+  if (response.diffs.length === 0) {
+    console.log('No changes needed.');
+    return 0;
+  }
+  
+  // Validate every diff before showing anything
+  const configResult = loadConfig();
+  const patchOptions = { ...(configResult.success ? getPatchOptions(configResult.config) : {}), partial };
+  const changes = [];
+  
+  const fail = (error) => {
+    console.error(`Error: ${error}`);
+    recordCommand({ command: 'change', files: absolutePaths, instruction: intent, ...llmInfo(response), result: 'failed', error });
+    return 1;
+  };
+  
+  for (const { filePath, diff, kind = 'modify', newPath } of response.diffs) {
+    const validation = validateDiffFormat(diff, filePath, { kinds: DIFF_KINDS });
+    if (!validation.valid) {
+      return fail(`${filePath}: ${validation.error}`);
+    }
+    
+    // New files and rename targets were not checked with the inputs
+    let absolutePath;
+    const file = files.find(f => f.path === filePath);
+    if (file) {
+      absolutePath = file.absolutePath;
+    } else {
+      const pathCheck = validatePath(filePath);
+      if (!pathCheck.valid) return fail(`${filePath}: ${pathCheck.error}`);
+      absolutePath = pathCheck.absolutePath;
+    }
+    
+    let newFilePath = null;
+    if (kind === 'rename') {
+      const pathCheck = validatePath(newPath);
+      if (!pathCheck.valid) return fail(`${newPath}: ${pathCheck.error}`);
+      newFilePath = pathCheck.absolutePath;
+    }
+    
+    if (configResult.success) {
+      const policyCheck = validateAgainstPolicy(diff, configResult.config, newFilePath || absolutePath);
+      if (!policyCheck.valid) {
+        return fail(`${filePath}: ${policyCheck.error}`);
+      }
+    }
+    
+    const preview = prepareChange({ filePath: absolutePath, diff, newFilePath }, patchOptions);
+    if (!preview.success) {
+      const failedCount = preview.hunks.filter(h => !h.applied).length;
+      if (!partial && failedCount > 0 && failedCount < preview.hunks.length) {
+        console.error('Use --partial to apply the hunks that fit and save the rest to .rej files.');
+      }
+      return fail(`${filePath}: ${preview.error}`);
+    }
+    
+    changes.push({
+      filePath: absolutePath,
+      newFilePath,
+      kind,
+      label: filePath,
+      newLabel: newPath,
+      diff,
+      hunks: preview.hunks,
+      partial: preview.partial,
+      rejectPath: preview.rejectPath
+    });
+  }
+  
+  const moduleCheck = configResult.success
+    ? await checkPolicyModules('change', changes.map(c => ({ filePath: c.filePath, diff: c.diff })), configResult.config)
+    : { passed: true, results: [] };
+  const recordInfo = { ...llmInfo(response), policies: moduleCheck.results };
+  if (!moduleCheck.passed) {
+    console.error(`Error: ${moduleCheck.error}`);
+    recordCommand({ command: 'change', files: absolutePaths, instruction: intent, ...recordInfo, result: 'failed', error: moduleCheck.error });
+    return 1;
+  }
+  
+  const changedPaths = changes.flatMap(c => c.newFilePath ? [c.filePath, c.newFilePath] : [c.filePath]);
+  
+  for (const change of changes) {
+    console.log(change.diff);
+  }
+  for (const change of changes) {
+    if (change.kind === 'create') console.log(`[CREATE] ${change.label}`);
+    if (change.kind === 'delete') console.log(`[DELETE] ${change.label}`);
+    if (change.kind === 'rename') console.log(`[RENAME] ${change.label} -> ${change.newLabel}`);
+    printHunkReport(change.hunks, change.label);
+    if (change.partial) {
+      printConflictReport(change.hunks, change.rejectPath, change.label);
+    }
+  }
+  console.log(`${changes.length} file(s) changed.`);
+  console.log('');
+  
+  // Dry run stops here
+  if (dryRun) {
+    console.log('[DRY RUN] No changes applied.');
+    recordCommand({ command: 'change', files: changedPaths, instruction: intent, ...recordInfo, result: 'dry-run' });
+    return 0;
+  }
+  
+  const approved = await confirm(`Apply all ${changes.length} file(s)? [y/N] `);
+  if (!approved) {
+    console.log('Aborted.');
+    recordCommand({ command: 'change', files: changedPaths, instruction: intent, ...recordInfo, result: 'rejected' });
+    return 0;
+  }
+  
+  const result = applyDiffsToFiles(changes, patchOptions);
+  if (result.success) {
+    const rejectFiles = result.applied.filter(a => a.rejectPath).map(a => a.rejectPath);
+    const recorded = { ...recordedChanges(appliedFiles(result.applied)), renames: appliedRenames(result.applied) };
+    console.log(`Applied to ${result.applied.length} file(s).`);
+    
+    if (rejectFiles.length === 0) {
+      recordCommand({ command: 'change', files: changedPaths, instruction: intent, ...recordInfo, result: 'success', ...recorded });
+      return 0;
+    }
+    
+    const rejected = changes.flatMap(c => rejectedHunks(c.hunks, c.filePath));
+    console.log(`${rejected.length} hunk(s) rejected, saved to:`);
+    for (const rejectPath of rejectFiles) {
+      console.log(`  ${rejectPath}`);
+    }
+    recordCommand({ command: 'change', files: changedPaths, instruction: intent, ...recordInfo, result: 'partial', rejectedHunks: rejected, rejectFiles, ...recorded });
+    return 0;
+  } else {
+    console.error(`Error: Failed to apply diffs: ${result.error}`);
+    console.error('No files were changed.');
+    recordCommand({ command: 'change', files: changedPaths, instruction: intent, ...recordInfo, result: 'failed', error: result.error });
     return 1;
   }
 }
@@ -397,6 +1010,15 @@ async function createProjectCommand(description, options = {}) {
     console.error(`Error: ${validation.error}`);
     return 1;
   }
+  
+  // Every planned file must be one arcl may write
+  const blocked = plan.files.map(f => checkPathPolicy(f.path)).filter(p => !p.allowed);
+  if (blocked.length > 0) {
+    for (const policy of blocked) {
+      console.error(`Error: Path blocked by policy: ${policy.reason}`);
+    }
+    return 1;
+  }
 
   // Show plan
   console.log(`\nProject: ${plan.projectName}`);
@@ -417,7 +1039,7 @@ async function createProjectCommand(description, options = {}) {
   // Dry run stops here - no confirmation, no creation
   if (dryRun) {
     console.log('[DRY RUN] No files or directories created.');
-    recordCommand({ command: 'create', files: plan.files.map(f => f.relativePath), instruction: description, provider: getCurrentProvider(), result: 'dry-run' });
+    recordCommand({ command: 'create', files: plan.files.map(f => f.path), instruction: description, provider: getProviderName(), result: 'dry-run' });
     return 0;
   }
   
@@ -425,7 +1047,7 @@ async function createProjectCommand(description, options = {}) {
   const shouldCreate = await confirm('Create this project? [y/N] ');
   if (!shouldCreate) {
     console.log('Aborted.');
-    recordCommand({ command: 'create', files: plan.files.map(f => f.relativePath), instruction: description, provider: getCurrentProvider(), result: 'rejected' });
+    recordCommand({ command: 'create', files: plan.files.map(f => f.path), instruction: description, provider: getProviderName(), result: 'rejected' });
     return 0;
   }
 
@@ -440,7 +1062,7 @@ async function createProjectCommand(description, options = {}) {
   const structResult = createStructure(plan);
   if (!structResult.success) {
     console.error(`Error: ${structResult.error}`);
-    recordCommand({ command: 'create', files: plan.files.map(f => f.relativePath), instruction: description, provider: getCurrentProvider(), result: 'failed', error: structResult.error });
+    recordCommand({ command: 'create', files: plan.files.map(f => f.path), instruction: description, provider: getProviderName(), result: 'failed', error: structResult.error });
     return 1;
   }
 
@@ -480,36 +1102,38 @@ async function createProjectCommand(description, options = {}) {
     }
   }
 
-  // Write files
-  console.log('Writing files...');
-  let writtenCount = 0;
-  
-  for (const file of filesToWrite) {
-    const result = writeProjectFile(file.path, file.content);
-    if (result.success) {
-      console.log(`  Created: ${file.relativePath}`);
-      writtenCount++;
-    } else {
-      console.error(`  Failed: ${file.relativePath} - ${result.error}`);
-    }
-  }
-
   // Write default content for missing files
   for (const expected of plan.files) {
     if (!filesToWrite.find(f => f.relativePath === expected.relativePath)) {
-      const defaultContent = getDefaultContent(expected.relativePath, plan);
-      const result = writeProjectFile(expected.path, defaultContent);
-      if (result.success) {
-        console.log(`  Created: ${expected.relativePath} (default)`);
-        writtenCount++;
-      }
+      filesToWrite.push({
+        path: expected.path,
+        relativePath: expected.relativePath,
+        content: getDefaultContent(expected.relativePath, plan),
+        isDefault: true
+      });
     }
   }
 
-  // Create venv if requested
-  if (createVenvFlag) {
-    console.log('Creating virtual environment...');
-    const venvResult = await createVenv(plan.projectPath);
+  // Write all files in one transaction
+  console.log('Writing files...');
+  const writeResult = writeProjectFiles(filesToWrite);
+  
+  if (!writeResult.success) {
+    console.error(`Error: Failed to write files: ${writeResult.error}`);
+    rollbackProject(plan.projectPath);
+    console.log('Rolled back project creation.');
+    recordCommand({ command: 'create', files: plan.files.map(f => f.path), instruction: description, ...llmInfo(response), result: 'failed', error: writeResult.error });
+    return 1;
+  }
+  
+  for (const file of filesToWrite) {
+    console.log(`  Created: ${file.relativePath}${file.isDefault ? ' (default)' : ''}`);
+  }
+
+  // Create venv if requested
+  if (createVenvFlag) {
+    console.log('Creating virtual environment...');
+    const venvResult = await createVenv(plan.projectPath);
     if (venvResult.success) {
       console.log('  Created: venv/');
     } else {
@@ -522,7 +1146,7 @@ async function createProjectCommand(description, options = {}) {
   console.log(`  cd "${plan.projectPath}"`);
   console.log(`  arcl edit src/main.py "your changes"`);
   
-  recordCommand({ command: 'create', files: plan.files.map(f => f.relativePath), instruction: description, provider: getCurrentProvider(), result: 'success' });
+  recordCommand({ command: 'create', files: plan.files.map(f => f.path), instruction: description, ...llmInfo(response), result: 'success', ...recordedChanges(filesToWrite.map(f => ({ file: f.path, before: null }))) });
   return 0;
 }
 
@@ -602,19 +1226,33 @@ async function askCommand(targetPath, question) {
       })
       .slice(0, 10); // Limit to 10 files
     
+    let included = 0;
     for (const file of codeFiles) {
       const filePath = path.join(absolutePath, file);
-      const stat = fs.statSync(filePath);
-      if (stat.isFile() && stat.size < 50000) { // Max 50KB per file
-        const readResult = readFileUTF8(filePath);
-        if (readResult.success) {
-          content += `\n=== ${file} ===\n${readResult.content}\n`;
-        }
+      if (!fs.statSync(filePath).isFile()) continue;
+      
+      // Smaller per-file limit: several files share one prompt
+      const fileClass = classifyFile(filePath, { context: true });
+      if (!fileClass.ok) {
+        console.log(`Skipped ${file}: ${fileClass.reason}`);
+        continue;
+      }
+      
+      const readResult = readFileUTF8(filePath);
+      if (readResult.success) {
+        content += `\n=== ${file} ===\n${readResult.content}\n`;
+        included++;
       }
     }
-    pathLabel = `${absolutePath} (${codeFiles.length} files)`;
+    pathLabel = `${absolutePath} (${included} files)`;
   } else {
     // Single file
+    const fileClass = classifyFile(absolutePath);
+    if (!fileClass.ok) {
+      console.error(`Error: Cannot read ${absolutePath}: ${fileClass.reason}`);
+      return 1;
+    }
+    
     const readResult = readFileUTF8(absolutePath);
     if (!readResult.success) {
       console.error(`Error: Failed to read file: ${readResult.error}`);
@@ -640,14 +1278,14 @@ async function askCommand(targetPath, question) {
 
   if (!response.success) {
     console.error(`Error: ${response.error}`);
-    recordCommand({ command: 'ask', files: absolutePath, instruction: question, provider: getCurrentProvider(), result: 'failed', error: response.error });
+    recordCommand({ command: 'ask', files: absolutePath, instruction: question, ...llmInfo(response), result: 'failed', error: response.error });
     return 1;
   }
 
   console.log(response.answer);
   console.log('');
   
-  recordCommand({ command: 'ask', files: absolutePath, instruction: question, provider: getCurrentProvider(), result: 'success' });
+  recordCommand({ command: 'ask', files: absolutePath, instruction: question, ...llmInfo(response), result: 'success' });
   return 0;
 }
 
@@ -697,7 +1335,7 @@ async function explainCommand(target) {
 
   // Show raw history first
   for (const entry of entries.slice(-5)) { // Last 5 max
-    console.log(`  [${entry.timestamp.slice(0, 10)}] ${entry.command} ${entry.files.join(', ')}`);
+    console.log(`  [${entry.timestamp.slice(0, 10)}]${entry.id ? ` ${entry.id}` : ''} ${entry.command} ${entry.files.join(', ')}`);
     console.log(`    "${entry.instruction}" → ${entry.result}`);
   }
   console.log('');
@@ -717,6 +1355,482 @@ async function explainCommand(target) {
   return 0;
 }
 
+// ─────────────────────────────────────────────────────────────
+// arcl history [stats | export <format> | verify [<head>] | head] [filters]
+// ─────────────────────────────────────────────────────────────
+
+/** Entries `arcl history` lists unless --limit says otherwise */
+const HISTORY_LIST_LIMIT = 20;
+
+/**
+ * Builds a history filter from --command, --result, --provider, --file,
+ * --since and --until. List values are comma-separated.
+ * @param {Object<string, string>} values 
+ * @returns {{success: boolean, filter?: Object, error?: string}}
+ */
+function historyFilter(values) {
+  const filter = {};
+  for (const key of ['command', 'result', 'provider']) {
+    if (values[key]) filter[key] = values[key].split(',').map(v => v.trim()).filter(Boolean);
+  }
+  if (values.file) filter.file = values.file;
+  
+  for (const key of ['since', 'until']) {
+    if (!values[key]) continue;
+    const bound = parseTimeBound(values[key], key === 'until');
+    if (!bound.success) return bound;
+    filter[key] = bound.date;
+  }
+  
+  return { success: true, filter };
+}
+
+function historyListCommand(entries, filter, limitArg) {
+  const limit = limitArg === undefined ? HISTORY_LIST_LIMIT : parseInt(limitArg, 10);
+  if (!Number.isInteger(limit) || limit < 0) {
+    console.error(`Error: --limit must be a number, got: ${limitArg}`);
+    return 1;
+  }
+  
+  const filterText = describeFilter(filter);
+  if (entries.length === 0) {
+    console.log(filterText ? `No history entries match: ${filterText}` : 'No history yet.');
+    return 0;
+  }
+  
+  const shown = limit === 0 ? entries : entries.slice(-limit);
+  for (const e of shown) {
+    const files = (e.files || []).map(displayPath).join(', ');
+    console.log(`${e.timestamp.slice(0, 19).replace('T', ' ')}  ${(e.id || '-').padEnd(12)}  ${e.command.padEnd(8)}  ${e.result.padEnd(8)}  ${(e.provider || '').padEnd(10)}  ${files}`);
+    if (e.instruction) {
+      console.log(`${' '.repeat(21)}"${e.instruction}"`);
+    }
+  }
+  
+  console.log(`\nShowing ${shown.length} of ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}${filterText ? ` matching ${filterText}` : ''}`);
+  if (shown.length < entries.length) {
+    console.log('Use --limit N for more (0 = all).');
+  }
+  return 0;
+}
+
+function historyStatsCommand(entries, filter) {
+  const stats = computeStats(entries);
+  const filterText = describeFilter(filter);
+  
+  console.log(`History stats${filterText ? ` (${filterText})` : ''}`);
+  console.log(`Entries: ${stats.total}${stats.first ? `  ${stats.first.slice(0, 10)} to ${stats.last.slice(0, 10)}` : ''}`);
+  if (stats.total === 0) {
+    return 0;
+  }
+  
+  console.log('\n[COMMANDS]');
+  for (const [command, count] of Object.entries(stats.commands).sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${command.padEnd(10)} ${count}`);
+  }
+  
+  if (stats.providers.length > 0) {
+    console.log('\n[PROVIDERS]');
+    console.log(`  ${'provider'.padEnd(12)} ${'total'.padStart(6)} ${'success'.padStart(8)} ${'reject'.padStart(8)} ${'partial'.padStart(8)} ${'failed'.padStart(7)}  tokens in/out`);
+    for (const p of stats.providers) {
+      console.log(`  ${p.provider.padEnd(12)} ${String(p.total).padStart(6)} ${formatRate(p.successRate).padStart(8)} ${formatRate(p.rejectRate).padStart(8)} ${String(p.partial).padStart(8)} ${String(p.failed).padStart(7)}  ${p.inputTokens}/${p.outputTokens}`);
+    }
+    console.log('  Rates exclude dry runs.');
+  }
+  
+  if (stats.files.length > 0) {
+    console.log('\n[MOST CHANGED FILES]');
+    for (const f of stats.files) {
+      console.log(`  ${String(f.changes).padStart(4)}  ${f.file}`);
+    }
+  }
+  
+  return 0;
+}
+
+function historyExportCommand(entries, filter, format, outPath) {
+  if (!format) {
+    console.error('Error: arcl history export requires a format (json, csv or md)');
+    return 1;
+  }
+  
+  // The head of the whole history, not just the exported entries
+  const head = getChainHead();
+  if (!head.success) {
+    console.error(`Error: ${head.error}`);
+    return 1;
+  }
+  
+  const exported = exportHistory(entries, format, { head: { hash: head.hash, id: head.id, timestamp: head.timestamp }, filter });
+  if (!exported.success) {
+    console.error(`Error: ${exported.error}`);
+    return 1;
+  }
+  
+  if (!outPath) {
+    process.stdout.write(exported.content);
+    return 0;
+  }
+  
+  const writeResult = writeFileUTF8(path.resolve(outPath), exported.content);
+  if (!writeResult.success) {
+    console.error(`Error: ${writeResult.error}`);
+    return 1;
+  }
+  console.log(`Exported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} to ${outPath}`);
+  console.log(`Chain head: ${head.hash || '(empty)'}`);
+  return 0;
+}
+
+function historyVerifyCommand(anchor) {
+  const result = verifyHistory({ anchor });
+  if (!result.success) {
+    console.error(`Error: ${result.error}`);
+    return 1;
+  }
+
+  console.log(`History: ${getHistoryPath()}`);
+  console.log(`Checked ${result.entries} entr${result.entries === 1 ? 'y' : 'ies'}`);
+  if (result.legacy > 0) {
+    console.log(`  ${result.legacy} written before chaining (not protected)`);
+  }
+  if (result.unreadable.length > 0) {
+    console.log(`  Skipped invalid line(s): ${result.unreadable.join(', ')} (an append cut short by a crash, or edited by hand)`);
+  }
+
+  if (!result.valid) {
+    console.error(`\n[BROKEN] ${result.broken.reason}`);
+    if (result.broken.line) {
+      console.error(`Entries before line ${result.broken.line} are intact.`);
+    }
+    return 1;
+  }
+
+  console.log(`Chain head: ${result.head || '(empty)'}`);
+  console.log(anchor ? `\n[OK] Chain intact and contains ${anchor}` : '\n[OK] Chain intact');
+  return 0;
+}
+
+function historyHeadCommand() {
+  const head = getChainHead();
+  if (!head.success) {
+    console.error(`Error: ${head.error}`);
+    return 1;
+  }
+  if (!head.hash) {
+    console.error('History is empty.');
+    return 1;
+  }
+  console.log(head.hash);
+  console.log(`  Entry ${head.id || '(no id)'} at ${head.timestamp}`);
+  return 0;
+}
+
+function historyCommand(subcommand, arg, values = {}) {
+  if (subcommand === 'verify') return historyVerifyCommand(arg);
+  if (subcommand === 'head') return historyHeadCommand();
+  
+  if (subcommand && !['stats', 'export'].includes(subcommand)) {
+    console.error(`Error: Unknown history subcommand: ${subcommand}`);
+    console.error('Usage: arcl history [filters] [--limit N]');
+    console.error('       arcl history stats [filters]');
+    console.error('       arcl history export json|csv|md [filters] [--out <file>]');
+    console.error('       arcl history verify [<head>]');
+    console.error('       arcl history head');
+    return 1;
+  }
+  
+  const filterResult = historyFilter(values);
+  if (!filterResult.success) {
+    console.error(`Error: ${filterResult.error}`);
+    return 1;
+  }
+  
+  const result = queryHistory(filterResult.filter);
+  if (!result.success) {
+    console.error(`Error: ${result.error}`);
+    return 1;
+  }
+  
+  if (subcommand === 'stats') return historyStatsCommand(result.entries, filterResult.filter);
+  if (subcommand === 'export') return historyExportCommand(result.entries, filterResult.filter, arg, values.out);
+  return historyListCommand(result.entries, filterResult.filter, values.limit);
+}
+
+// ─────────────────────────────────────────────────────────────
+// arcl config
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Checks every config layer against the schema and loads every policy
+ * module. Exits 1 on any error, so it can gate CI.
+ * @returns {Promise<number>}
+ */
+async function configValidateCommand() {
+  const layers = readConfigLayers();
+  const policyResult = await loadPolicyModules();
+  if (layers.length === 0 && policyResult.success && policyResult.policies.length === 0) {
+    console.log('No config files, ARCL_* variables, --config flags or policy modules; using defaults.');
+    return 0;
+  }
+
+  for (const layer of layers) {
+    const status = layer.errors.length === 0 ? '[OK]' : '[INVALID]';
+    console.log(`${status.padEnd(10)}${layer.layer.padEnd(10)} ${layer.origin}`);
+    for (const error of layer.errors) {
+      console.log(`          ${error.key ? `${error.key}: ` : ''}${error.message}`);
+    }
+  }
+
+  if (policyResult.success) {
+    for (const policy of policyResult.policies) {
+      console.log(`${'[OK]'.padEnd(10)}${'policy'.padEnd(10)} ${policy.path}`);
+    }
+  } else {
+    console.log(`${'[INVALID]'.padEnd(10)}${'policy'.padEnd(10)} ${policyResult.error}`);
+  }
+
+  const invalid = layers.filter(l => l.errors.length > 0).length + (policyResult.success ? 0 : 1);
+  if (invalid > 0) {
+    console.error(`\nError: ${invalid} config source(s) invalid`);
+    return 1;
+  }
+  console.log(`\nConfig valid (${layers.length} source(s), ${policyResult.policies.length} policy module(s))`);
+  return 0;
+}
+
+/**
+ * Describes where a setting came from.
+ * @param {{layer: string, origin: string|null}} source 
+ * @returns {string}
+ */
+function describeSource(source) {
+  return source.origin ? `${source.layer} (${source.origin})` : source.layer;
+}
+
+/**
+ * Loads the effective config for the config subcommands.
+ * @returns {Object|null} loadConfig result, or null after printing the error
+ */
+function loadConfigOrReport() {
+  const configResult = loadConfig();
+  if (!configResult.success) {
+    console.error(`Error: ${configResult.error}`);
+    console.error('Run arcl config validate for every problem, or arcl config unset <key> to remove one.');
+    return null;
+  }
+  return configResult;
+}
+
+function configListCommand() {
+  const configResult = loadConfigOrReport();
+  if (!configResult) return 1;
+  const { config, sources, files } = configResult;
+
+  console.log('Config files (later ones win):');
+  for (const file of files) {
+    console.log(`  ${file.layer.padEnd(10)} ${file.path}${file.exists ? '' : '  (none)'}`);
+  }
+  console.log('  Then ARCL_* environment variables, then --config <key>=<value> flags.');
+
+  console.log('\nEffective settings:');
+  for (const [key, value] of Object.entries(config)) {
+    const nested = Object.keys(sources).filter(name => name.startsWith(`${key}.`));
+    const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+    const rows = isObject && nested.length > 0
+      ? nested.map(name => [name, value[name.slice(key.length + 1)], sources[name]])
+      : [[key, value, sources[key]]];
+
+    for (const [name, rowValue, source] of rows) {
+      console.log(`  ${name.padEnd(34)} ${String(JSON.stringify(rowValue)).padEnd(28)} ${describeSource(source)}`);
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Prints one effective setting: strings bare, everything else as JSON.
+ * @param {string} key
+ * @returns {number}
+ */
+function configGetCommand(key) {
+  const keyError = checkSettingKey(key);
+  if (keyError) {
+    console.error(`Error: ${keyError}`);
+    return 1;
+  }
+
+  const configResult = loadConfigOrReport();
+  if (!configResult) return 1;
+
+  const value = getSettingValue(configResult.config, key);
+  console.log(typeof value === 'string' ? value : JSON.stringify(value));
+  return 0;
+}
+
+/**
+ * Shows what a setting does, its default, its effective value and every
+ * layer that sets it.
+ * @param {string} key
+ * @returns {number}
+ */
+function configExplainCommand(key) {
+  const keyError = checkSettingKey(key);
+  if (keyError) {
+    console.error(`Error: ${keyError}`);
+    return 1;
+  }
+
+  const configResult = loadConfigOrReport();
+  if (!configResult) return 1;
+
+  const schema = getSettingSchema(key);
+  const source = configResult.sources[key] || configResult.sources[key.split('.')[0]];
+  console.log(key);
+  if (schema.description) {
+    console.log(`  ${schema.description}`);
+  }
+  console.log(`  Accepts:     ${describeExpected(schema)}`);
+  console.log(`  Default:     ${JSON.stringify(getSettingValue(DEFAULT_CONFIG, key))}`);
+  console.log(`  Effective:   ${JSON.stringify(getSettingValue(configResult.config, key))}  from ${describeSource(source)}`);
+  console.log(`  Environment: ${getEnvName(key)}`);
+
+  const setters = readConfigLayers().filter(l => l.values && getSettingValue(l.values, key) !== undefined);
+  if (setters.length > 0) {
+    console.log('  Set by (later ones win):');
+    for (const layer of setters) {
+      console.log(`    ${layer.layer.padEnd(10)} ${JSON.stringify(getSettingValue(layer.values, key))}  ${layer.origin}`);
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Warns when a layer above the file just written still decides a setting.
+ * @param {string} key
+ * @param {string} configPath
+ */
+function warnIfOverridden(key, configPath) {
+  const configResult = loadConfig();
+  if (!configResult.success) return;
+
+  const source = configResult.sources[key];
+  if (source && source.origin && source.origin !== configPath) {
+    console.log(`Note: ${key} is still decided by ${describeSource(source)}`);
+  }
+}
+
+/**
+ * Handles arcl config [list|get|set|unset|explain|init|validate].
+ * set, unset and init write the nearest .arcl/config.json, or the global
+ * one with --global.
+ * @param {string[]} args - Arguments after "config"
+ * @param {{global: boolean}} options
+ * @returns {number|Promise<number>}
+ */
+function configCommand(args, { global }) {
+  const [subcommand = 'list', key, ...rest] = args;
+  const configPath = global ? getGlobalConfigPath() : getConfigPath();
+
+  switch (subcommand) {
+    case 'list':
+      return configListCommand();
+
+    case 'validate':
+      return configValidateCommand();
+
+    case 'get':
+    case 'explain':
+      if (!key) {
+        console.error(`Usage: arcl config ${subcommand} <key>`);
+        return 1;
+      }
+      return subcommand === 'get' ? configGetCommand(key) : configExplainCommand(key);
+
+    case 'set': {
+      if (!key || rest.length === 0) {
+        console.error('Usage: arcl config set <key> <value> [--global]');
+        return 1;
+      }
+      const result = setConfigValue(configPath, key, rest.join(' '));
+      if (!result.success) {
+        console.error(`Error: ${result.error}`);
+        return 1;
+      }
+      console.log(result.changed
+        ? `Set ${key} = ${JSON.stringify(result.value)} in ${configPath}`
+        : `${key} is already ${JSON.stringify(result.value)} in ${configPath}`);
+      warnIfOverridden(key, configPath);
+      return 0;
+    }
+
+    case 'unset': {
+      if (!key) {
+        console.error('Usage: arcl config unset <key> [--global]');
+        return 1;
+      }
+      const result = unsetConfigValue(configPath, key);
+      if (!result.success) {
+        console.error(`Error: ${result.error}`);
+        return 1;
+      }
+      console.log(result.changed ? `Removed ${key} from ${configPath}` : `${key} is not set in ${configPath}`);
+      if (result.changed) warnIfOverridden(key, configPath);
+      return 0;
+    }
+
+    case 'init': {
+      const result = initConfig(global ? configPath : undefined, { defaults: global });
+      if (!result.success) {
+        console.error(`Error: ${result.error}`);
+        return 1;
+      }
+      if (!result.created) {
+        console.log(`${result.path} already exists`);
+      } else if (global) {
+        console.log(`Created ${result.path} with the defaults`);
+      } else {
+        console.log(`Created ${result.path} (empty; settings added with arcl config set override the global and workspace files)`);
+      }
+      return 0;
+    }
+
+    default:
+      console.error(`Error: Unknown config command: ${subcommand}`);
+      console.error('Usage: arcl config [list|get|set|unset|explain|init|validate]');
+      return 1;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// arcl init
+// ─────────────────────────────────────────────────────────────
+
+function initCommand() {
+  const project = getCurrentProject();
+  if (!project.projectPath) {
+    console.error(`Error: Not in a project. Run arcl init from inside a project in ${project.workspaceRoot}`);
+    return 1;
+  }
+  
+  const result = initArclDir(project.projectPath);
+  if (!result.success) {
+    console.error(`Error: ${result.error}`);
+    return 1;
+  }
+  
+  if (!result.created) {
+    console.log(`Already initialized: ${result.path}`);
+    return 0;
+  }
+  console.log(`Created ${result.path}`);
+  console.log(`History, backups and config for ${project.projectName} now live here.`);
+  console.log(`Earlier history stays in ${getWorkspaceArclDir()}`);
+  return 0;
+}
+
 // ─────────────────────────────────────────────────────────────
 // arcl ls
 // ─────────────────────────────────────────────────────────────
@@ -784,35 +1898,79 @@ function templatesCommand() {
 // Command Router
 // ─────────────────────────────────────────────────────────────
 
+/** Flags that take a value: --template <name>, history filters, --out <file> */
+const VALUE_FLAGS = ['template', 'command', 'result', 'provider', 'file', 'since', 'until', 'limit', 'out'];
+
 /**
  * Parses flags from args and returns cleaned args.
  * @param {string[]} args 
- * @returns {{args: string[], dryRun: boolean, template: string|null}}
+ * @returns {{args: string[], dryRun: boolean, partial: boolean, force: boolean, template: string|null, values: Object<string, string>, configOverrides: string[]}}
  */
 function parseFlags(args) {
   const dryRun = args.includes('--dry-run');
+  const partial = args.includes('--partial');
+  const force = args.includes('--force');
+  const global = args.includes('--global');
   
-  // Extract --template <name>
-  let template = null;
-  const templateIdx = args.indexOf('--template');
-  if (templateIdx !== -1 && args[templateIdx + 1]) {
-    template = args[templateIdx + 1];
+  // Extract --<flag> <value>; --config may repeat
+  const values = {};
+  const configOverrides = [];
+  const valueIdx = new Set();
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].startsWith('--') ? args[i].slice(2) : null;
+    if (name === 'config' && args[i + 1] !== undefined) {
+      configOverrides.push(args[i + 1]);
+      valueIdx.add(i).add(++i);
+      continue;
+    }
+    if (!VALUE_FLAGS.includes(name)) continue;
+    valueIdx.add(i);
+    if (args[i + 1] !== undefined) {
+      values[name] = args[i + 1];
+      valueIdx.add(++i);
+    }
   }
+  const template = values.template || null;
   
   // Remove flags from args
   const cleanedArgs = args.filter((a, i) => {
     if (a === '--dry-run') return false;
-    if (a === '--template') return false;
-    if (i > 0 && args[i - 1] === '--template') return false;
+    if (a === '--partial') return false;
+    if (a === '--force') return false;
+    if (a === '--global') return false;
+    if (valueIdx.has(i)) return false;
     return true;
   });
   
-  return { args: cleanedArgs, dryRun, template };
+  return { args: cleanedArgs, dryRun, partial, force, global, template, values, configOverrides };
+}
+
+/**
+ * Picks the file whose project keeps a command's state (see history.js
+ * setArclContext). Commands without one use the current directory.
+ * @param {string[]} args - Arguments without flags
+ * @returns {string|null}
+ */
+function commandTarget(args) {
+  switch (args[0]) {
+    case 'add':
+    case 'edit':
+    case 'remove':
+    case 'ask':
+      return args[1] || null;
+    case 'explain':
+      return args[1] && args[1] !== 'last' ? args[1] : null;
+    case 'change':
+    case 'run':
+      return args[2] || null;
+    default:
+      return null;
+  }
 }
 
 async function main() {
   const rawArgs = process.argv.slice(2);
-  const { args, dryRun, template } = parseFlags(rawArgs);
+  const { args, dryRun, partial, force, global, template, values, configOverrides } = parseFlags(rawArgs);
 
   // Deprecation shim: warn if invoked as 'glm'
   const invokedAs = path.basename(process.argv[1], '.js');
@@ -825,6 +1983,41 @@ async function main() {
     return 0;
   }
 
+  // Per-file encoding / line-ending policy for every write, the limits
+  // that keep binary, huge or generated files away from the LLM, the
+  // paths arcl may change, the secrets never sent out, and the provider
+  // to call - from every config layer, --config flags last
+  setConfigOverrides(configOverrides);
+  setArclContext(commandTarget(args));
+  if (args[0] === 'config') {
+    // Before loading, which would stop at the first invalid layer and
+    // leave no way to fix it from the CLI
+    return configCommand(args.slice(1), { global });
+  }
+  const configResult = loadConfig();
+  if (!configResult.success) {
+    console.error(`Error: ${configResult.error}`);
+    return 1;
+  }
+  setFormatPolicy(getFormatPolicy(configResult.config));
+  setLimitsPolicy(getLimitsPolicy(configResult.config));
+  setPathPolicy(getPathPolicy(configResult.config));
+  setSecretPolicy(getSecretPolicy(configResult.config));
+  setRetentionPolicy(configResult.config.backup_retention);
+  setProviderSettings(getProviderSettings(configResult.config));
+
+  // Finish or undo any transaction a crashed run left behind
+  const recovery = recoverTransactions();
+  for (const r of recovery.recovered) {
+    if (r.action === 'replayed' || r.action === 'rolled-back') {
+      console.error(`Recovered interrupted ${r.command} transaction ${r.id}: ${r.action}`);
+    }
+  }
+  if (!recovery.success) {
+    console.error(`Error: ${recovery.error}`);
+    return 1;
+  }
+
   const command = args[0];
 
   switch (command) {
@@ -840,7 +2033,7 @@ async function main() {
         console.error('Error: arcl edit requires <file> and "<instruction>"');
         return 1;
       }
-      return await editCommand(args[1], args[2], { dryRun });
+      return await editCommand(args[1], args[2], { dryRun, partial });
 
     case 'remove':
       if (args.length < 2) {
@@ -849,6 +2042,23 @@ async function main() {
       }
       return await removeCommand(args[1]);
 
+    case 'change':
+      if (args.length < 3) {
+        console.error('Error: arcl change requires "<intent>" and at least one <file>');
+        return 1;
+      }
+      return await changeCommand(args[1], args.slice(2), { dryRun, partial });
+
+    case 'undo':
+      return await undoCommand(args[1], { dryRun, force });
+
+    case 'rollback':
+      if (args.length < 2) {
+        console.error('Error: arcl rollback requires <entry-id>');
+        return 1;
+      }
+      return await rollbackCommand(args[1], { dryRun, force });
+
     case 'create':
       if (args[1] === 'project') {
         return await createProjectCommand(args[2], { dryRun, template });
@@ -872,6 +2082,9 @@ async function main() {
       }
       return await explainCommand(args[1]);
 
+    case 'history':
+      return historyCommand(args[1], args[2], values);
+
     case 'ls':
       return lsCommand();
 
@@ -886,13 +2099,16 @@ async function main() {
       console.error('Warning: "run" is deprecated. Use "arcl add/edit/remove" directly.');
       const action = args[1];
       if (action === 'add') return await addCommand(args[2], args[3], { dryRun });
-      if (action === 'edit') return await editCommand(args[2], args[3], { dryRun });
+      if (action === 'edit') return await editCommand(args[2], args[3], { dryRun, partial });
       if (action === 'remove') return await removeCommand(args[2]);
       return 1;
 
     case 'init':
-      console.error('Warning: "init" is deprecated. Use "arcl create project" instead.');
-      return 1;
+      if (args.length > 1) {
+        console.error('Warning: "init <name>" is deprecated. Use "arcl create project" instead.');
+        return 1;
+      }
+      return initCommand();
 
     default:
       console.error(`Error: Unknown command: ${command}`);
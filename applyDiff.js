@@ -2,26 +2,64 @@
  * Diff Application Module
  * 
  * Handles parsing, validating, and applying unified diffs safely.
- * Uses manual hunk parsing for reliable patching.
+ * Uses manual hunk parsing for reliable patching, with a
+ * diff-match-patch fuzzy fallback for hunks that cannot be placed.
  * All I/O uses explicit UTF-8 encoding via io.js.
+ * All writes go through journaled transactions (transaction.js).
  */
 
 import path from 'path';
+import DiffMatchPatch from 'diff-match-patch';
 import { log } from './logger.js';
-import { readFileUTF8, writeFileUTF8, copyFileUTF8, fileExists } from './io.js';
+import { readFileUTF8, copyFileUTF8, fileExists, getFileFormat, classifyFile, checkLineEndings } from './io.js';
+import { runTransaction } from './transaction.js';
+import { storeBackup } from './backup.js';
+
+/**
+ * Default fuzz factor: how many leading/trailing context lines a hunk may
+ * ignore when its full context cannot be found (GNU patch default).
+ */
+export const DEFAULT_FUZZ = 2;
+
+/**
+ * Default minimum confidence (0-1) for a fuzzy-applied hunk to be accepted.
+ * High enough that a hunk only lands where the file still reads mostly
+ * as the model expected.
+ */
+export const DEFAULT_MIN_CONFIDENCE = 0.8;
+
+/**
+ * @typedef {Object} HunkReport
+ * @property {number} index - 1-based hunk number
+ * @property {string} header - Original "@@ ... @@" header line
+ * @property {boolean} applied - Whether the hunk was placed
+ * @property {number|null} line - 1-based line where the hunk landed
+ * @property {number} offset - Lines between stated and actual position
+ * @property {number} fuzz - Context lines ignored to place the hunk
+ * @property {boolean} fuzzy - Placed by diff-match-patch fuzzy matching
+ * @property {number} confidence - 1 for exact placement, 0-1 for fuzzy
+ * @property {string|null} reason - Why the hunk failed (null if applied)
+ */
 
 /**
  * @typedef {Object} PatchResult
  * @property {boolean} success - Whether all hunks applied successfully
  * @property {string|null} patchedContent - The patched file content (null on failure)
  * @property {string[]} failedHunks - List of failed hunk descriptions
+ * @property {HunkReport[]} hunks - Per-hunk placement report
+ * @property {boolean} [partial] - Some hunks were rejected (partial mode only)
+ * @property {string|null} [rejectText] - Rejected hunks in unified format (partial mode only)
  * @property {string|null} error - Error message (null on success)
  */
 
 /**
  * @typedef {Object} ApplyResult
  * @property {boolean} success - Whether the diff was applied successfully
- * @property {string|null} backupPath - Path to backup file (null on failure)
+ * @property {string|null} backupPath - Backup object in .arcl/backups (null on failure)
+ * @property {string|null} [backupHash] - Content hash of the backup, for history
+ * @property {HunkReport[]} [hunks] - Per-hunk placement report
+ * @property {boolean} [partial] - Some hunks were rejected
+ * @property {string|null} [rejectPath] - Path of the .rej file (partial only)
  * @property {string|null} error - Error message (null on success)
  */
 
@@ -44,18 +82,418 @@ function parseHunkHeader(header) {
   };
 }
 
+/**
+ * Parses a unified diff into hunks.
+ * 
+ * @param {string} unifiedDiff 
+ * @returns {{success: boolean, hunks?: Object[], error?: string}}
+ */
+function parseHunks(unifiedDiff) {
+  const diffLines = unifiedDiff.replace(/\r\n/g, '\n').split('\n');
+  
+  // Trailing blank lines terminate the diff; they are not context
+  while (diffLines.length > 0 && diffLines[diffLines.length - 1] === '') {
+    diffLines.pop();
+  }
+  
+  const hunks = [];
+  let currentHunk = null;
+  
+  for (const line of diffLines) {
+    if (line.startsWith('@@')) {
+      if (currentHunk) hunks.push(currentHunk);
+      const header = parseHunkHeader(line);
+      if (!header) {
+        return { success: false, error: `Invalid hunk header format: ${line}` };
+      }
+      currentHunk = { ...header, header: line, index: hunks.length + 1, changes: [], raw: [] };
+    } else if (currentHunk) {
+      currentHunk.raw.push(line);
+      if (line.startsWith('+') && !line.startsWith('+++')) {
+        currentHunk.changes.push({ type: 'add', text: line.slice(1) });
+      } else if (line.startsWith('-') && !line.startsWith('---')) {
+        currentHunk.changes.push({ type: 'remove', text: line.slice(1) });
+      } else if (line.startsWith(' ')) {
+        currentHunk.changes.push({ type: 'context', text: line.slice(1) });
+      } else if (line === '') {
+        // Empty context line (trailing space stripped)
+        currentHunk.changes.push({ type: 'context', text: '' });
+      } else if (line.startsWith('\\')) {
+        // "\ No newline at end of file": the line before it is the last
+        // line of its side(s) and has no trailing newline
+        const last = currentHunk.changes[currentHunk.changes.length - 1];
+        if (last) {
+          if (last.type !== 'add') currentHunk.oldNoNewline = true;
+          if (last.type !== 'remove') currentHunk.newNoNewline = true;
+        }
+      }
+    }
+  }
+  if (currentHunk) hunks.push(currentHunk);
+  
+  return { success: true, hunks };
+}
+
+/**
+ * What a single-file diff does to the filesystem.
+ */
+export const DIFF_KINDS = ['modify', 'create', 'delete', 'rename'];
+
+/**
+ * @typedef {Object} FileHeader
+ * @property {'modify'|'create'|'delete'|'rename'} kind - Operation the diff describes
+ * @property {string|null} oldPath - Source path (null when the file is created)
+ * @property {string|null} newPath - Target path (null when the file is deleted)
+ */
+
+/**
+ * Normalizes a diff header path: forward slashes, no a/ or b/ prefix.
+ * 
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function normalizeDiffPath(filePath) {
+  let normalized = filePath.replace(/\\/g, '/');
+  if (normalized.startsWith('a/') || normalized.startsWith('b/')) {
+    normalized = normalized.slice(2);
+  }
+  if (normalized.startsWith('./')) {
+    normalized = normalized.slice(2);
+  }
+  return normalized;
+}
+
+/**
+ * Reads the path from a "--- " or "+++ " header line.
+ * 
+ * @param {string} line
+ * @returns {string|null} Normalized path, or null for /dev/null
+ */
+function headerPath(line) {
+  const raw = line.slice(4).split('\t')[0].trim();
+  return raw === '/dev/null' ? null : normalizeDiffPath(raw);
+}
+
+/**
+ * Parses the file headers of a single-file diff.
+ * 
+ * - "--- /dev/null" creates the "+++" file
+ * - "+++ /dev/null" deletes the "---" file
+ * - git-style "rename from" / "rename to" moves the file; a pure move
+ *   has no "---"/"+++" pair and no hunks
+ * 
+ * @param {string} unifiedDiff
+ * @returns {{success: boolean, header?: FileHeader, error?: string}}
+ */
+export function parseFileHeader(unifiedDiff) {
+  const lines = unifiedDiff.replace(/\r\n/g, '\n').split('\n');
+  let minus;
+  let plus;
+  let renameFrom = null;
+  let renameTo = null;
+  
+  for (const line of lines) {
+    if (line.startsWith('@@')) break;
+    
+    if (line.startsWith('--- ') && minus === undefined) {
+      minus = headerPath(line);
+    } else if (line.startsWith('+++ ') && plus === undefined) {
+      plus = headerPath(line);
+    } else if (line.startsWith('rename from ')) {
+      renameFrom = normalizeDiffPath(line.slice('rename from '.length).trim());
+    } else if (line.startsWith('rename to ')) {
+      renameTo = normalizeDiffPath(line.slice('rename to '.length).trim());
+    }
+  }
+  
+  if (renameFrom || renameTo) {
+    if (!renameFrom || !renameTo) {
+      return { success: false, error: 'Rename needs both "rename from" and "rename to" headers' };
+    }
+    if ((minus !== undefined && minus !== renameFrom) || (plus !== undefined && plus !== renameTo)) {
+      return { success: false, error: `Diff headers do not match rename ${renameFrom} -> ${renameTo}` };
+    }
+    const kind = renameFrom === renameTo ? 'modify' : 'rename';
+    return { success: true, header: { kind, oldPath: renameFrom, newPath: renameTo } };
+  }
+  
+  if (minus === undefined || plus === undefined) {
+    return { success: false, error: 'Missing unified diff headers (--- and +++)' };
+  }
+  
+  if (minus === null && plus === null) {
+    return { success: false, error: 'Both diff headers are /dev/null' };
+  }
+  
+  if (minus === null) {
+    return { success: true, header: { kind: 'create', oldPath: null, newPath: plus } };
+  }
+  
+  if (plus === null) {
+    return { success: true, header: { kind: 'delete', oldPath: minus, newPath: null } };
+  }
+  
+  if (minus !== plus) {
+    return {
+      success: false,
+      error: `Diff headers mismatch: --- ${minus} vs +++ ${plus} (renames need "rename from" / "rename to" headers)`
+    };
+  }
+  
+  return { success: true, header: { kind: 'modify', oldPath: minus, newPath: plus } };
+}
+
+/**
+ * @typedef {Object} ParsedDiff
+ * @property {'modify'|'create'|'delete'|'rename'} kind - Operation the diff describes
+ * @property {string|null} oldPath - Source path from the headers
+ * @property {string|null} newPath - Target path from the headers
+ * @property {Array<{header: string, oldStart: number, oldCount: number, newStart: number, newCount: number, changes: Array<{type: 'add'|'remove'|'context', text: string}>}>} hunks
+ * @property {Array<{line: number, text: string}>} added - Added lines, numbered in the new file
+ * @property {Array<{line: number, text: string}>} removed - Removed lines, numbered in the old file
+ */
+
+/**
+ * Parses a single-file unified diff into its headers, hunks and the
+ * lines it adds and removes (for policy modules, see config.js).
+ * 
+ * @param {string} unifiedDiff
+ * @returns {{success: boolean, diff?: ParsedDiff, error?: string}}
+ */
+export function parseDiff(unifiedDiff) {
+  const headerResult = parseFileHeader(unifiedDiff);
+  if (!headerResult.success) {
+    return { success: false, error: headerResult.error };
+  }
+  
+  const hunkResult = parseHunks(unifiedDiff);
+  if (!hunkResult.success) {
+    return { success: false, error: hunkResult.error };
+  }
+  
+  const added = [];
+  const removed = [];
+  const hunks = hunkResult.hunks.map(({ header, oldStart, oldCount, newStart, newCount, changes }) => {
+    let oldLine = oldStart;
+    let newLine = newStart;
+    for (const change of changes) {
+      if (change.type === 'add') {
+        added.push({ line: newLine++, text: change.text });
+      } else if (change.type === 'remove') {
+        removed.push({ line: oldLine++, text: change.text });
+      } else {
+        oldLine++;
+        newLine++;
+      }
+    }
+    return { header, oldStart, oldCount, newStart, newCount, changes };
+  });
+  
+  return { success: true, diff: { ...headerResult.header, hunks, added, removed } };
+}
+
+/**
+ * Splits a hunk into the lines it expects and the lines it produces,
+ * after dropping up to `fuzz` context lines from each end. A hunk that
+ * only adds lines keeps at least one context line on each side that has
+ * any, so fuzz can never leave it free to match anywhere.
+ * 
+ * @param {Object} hunk 
+ * @param {number} fuzz 
+ * @returns {{oldLines: string[], newLines: string[], lead: number, trail: number}}
+ */
+function hunkLines(hunk, fuzz) {
+  const { changes } = hunk;
+  
+  const firstChange = changes.findIndex(c => c.type !== 'context');
+  const leadingContext = firstChange === -1 ? changes.length : firstChange;
+  const trailingContext = firstChange === -1
+    ? 0
+    : changes.length - 1 - changes.findLastIndex(c => c.type !== 'context');
+  
+  const keep = changes.some(c => c.type === 'remove') ? 0 : 1;
+  const lead = Math.min(fuzz, Math.max(0, leadingContext - keep));
+  const trail = Math.min(fuzz, Math.max(0, trailingContext - keep));
+  
+  const oldLines = [];
+  const newLines = [];
+  
+  for (const change of changes.slice(lead, changes.length - trail)) {
+    if (change.type !== 'add') oldLines.push(change.text);
+    if (change.type !== 'remove') newLines.push(change.text);
+  }
+  
+  return { oldLines, newLines, lead, trail };
+}
+
+/**
+ * Checks whether `pattern` occurs in `lines` at `position`.
+ * 
+ * @param {string[]} lines 
+ * @param {string[]} pattern 
+ * @param {number} position 
+ * @returns {boolean}
+ */
+function matchesAt(lines, pattern, position) {
+  if (position < 0 || position + pattern.length > lines.length) return false;
+  for (let i = 0; i < pattern.length; i++) {
+    if (lines[position + i] !== pattern[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Finds where a hunk's expected lines occur, searching outward from
+ * the stated position first, like GNU patch.
+ * 
+ * @param {string[]} lines - Current file lines
+ * @param {string[]} pattern - Lines the hunk expects
+ * @param {number} expected - 0-based stated position
+ * @param {number} minPosition - Earliest allowed position (end of previous hunk)
+ * @returns {number} 0-based position, or -1
+ */
+function locate(lines, pattern, expected, minPosition) {
+  const maxPosition = lines.length - pattern.length;
+  const start = Math.min(Math.max(expected, minPosition), Math.max(maxPosition, minPosition));
+  const range = Math.max(start - minPosition, maxPosition - start);
+  
+  for (let delta = 0; delta <= range; delta++) {
+    if (start + delta <= maxPosition && matchesAt(lines, pattern, start + delta)) {
+      return start + delta;
+    }
+    if (delta > 0 && start - delta >= minPosition && matchesAt(lines, pattern, start - delta)) {
+      return start - delta;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Encodes lines as single characters so diff-match-patch works on whole
+ * lines instead of characters (its documented line-mode technique).
+ * 
+ * @param {string[][]} lineArrays - Line arrays sharing one encoding
+ * @returns {{encoded: string[], decode: function(string): string[]}|null} null if too many distinct lines
+ */
+function encodeLines(lineArrays) {
+  // Codes start above the control characters patch_apply uses as padding
+  const base = 0x100;
+  const codes = new Map();
+  const lineForCode = [];
+  
+  const encode = (lines) => lines.map(line => {
+    if (!codes.has(line)) {
+      codes.set(line, String.fromCharCode(base + lineForCode.length));
+      lineForCode.push(line);
+    }
+    return codes.get(line);
+  }).join('');
+  
+  const encoded = lineArrays.map(encode);
+  
+  // Stay below the UTF-16 surrogate range
+  if (base + lineForCode.length >= 0xD800) return null;
+  
+  return {
+    encoded,
+    decode: (chars) => [...chars].map(c => lineForCode[c.charCodeAt(0) - base])
+  };
+}
+
+/**
+ * Second strategy for a hunk strict matching could not place: converts it
+ * to a diff-match-patch patch anchored at the stated line and applies it
+ * by fuzzy matching, one line per unit. Only the hunk's own lines are
+ * used as context.
+ * 
+ * Confidence is the similarity (1 - normalized Levenshtein distance)
+ * between the lines the hunk expected and the lines it actually replaced.
+ * 
+ * @param {string[]} lines - Current file lines
+ * @param {Object} hunk - Parsed hunk
+ * @param {number} stated - 0-based stated position
+ * @returns {{lines: string[], position: number, newLength: number, confidence: number}|null}
+ */
+function applyHunkFuzzy(lines, hunk, stated) {
+  const { oldLines, newLines } = hunkLines(hunk, 0);
+  
+  const encoding = encodeLines([lines, oldLines, newLines]);
+  if (!encoding) return null;
+  const [text, oldText, newText] = encoding.encoded;
+  
+  const dmp = new DiffMatchPatch();
+  // No margin: patch_apply pads relative to the text start, which would
+  // misplace a patch anchored mid-file
+  dmp.Patch_Margin = 0;
+  
+  const diffs = dmp.diff_main(oldText, newText, false);
+  if (diffs.every(([op]) => op === 0)) return null;
+  
+  const patch = new DiffMatchPatch.patch_obj();
+  patch.diffs = diffs;
+  patch.start1 = patch.start2 = Math.max(0, Math.min(stated, lines.length));
+  patch.length1 = oldText.length;
+  patch.length2 = newText.length;
+  
+  const [patched, results] = dmp.patch_apply([patch], text);
+  if (!results.every(Boolean) || patched === text) return null;
+  
+  const patchedLines = encoding.decode(patched);
+  
+  // First changed line, then back up over the hunk's leading context
+  let prefix = 0;
+  while (prefix < lines.length && prefix < patchedLines.length && lines[prefix] === patchedLines[prefix]) {
+    prefix++;
+  }
+  const leadingContext = hunk.changes.findIndex(c => c.type !== 'context');
+  const position = Math.max(0, prefix - Math.max(0, leadingContext));
+  
+  const expected = oldLines.join('\n');
+  const replaced = lines.slice(position, position + oldLines.length).join('\n');
+  const distance = dmp.diff_levenshtein(dmp.diff_main(expected, replaced));
+  const confidence = Math.max(0, 1 - distance / Math.max(expected.length, replaced.length, 1));
+  
+  return {
+    lines: patchedLines,
+    position,
+    newLength: oldLines.length + patchedLines.length - lines.length,
+    confidence: Math.round(confidence * 100) / 100
+  };
+}
+
 /**
  * Applies a unified diff manually for more reliable results.
  * 
+ * Context and removed lines must match the file exactly. A hunk that
+ * does not match at its stated line is searched for elsewhere in the
+ * file (offset), then again with up to `fuzz` context lines ignored at
+ * each end. If that fails too, the hunk is applied by diff-match-patch
+ * fuzzy matching and flagged with a confidence score. Hunks that cannot
+ * be placed fail the whole patch, unless `partial` is set: then the
+ * placed hunks are kept and the rest are returned as `rejectText`.
+ * 
  * @param {string} originalContent - The original file content
  * @param {string} unifiedDiff - The unified diff to apply
+ * @param {Object} [options]
+ * @param {number} [options.fuzz=DEFAULT_FUZZ] - Max context lines to ignore per end
+ * @param {boolean} [options.fuzzy=true] - Fall back to diff-match-patch
+ * @param {number} [options.minConfidence=DEFAULT_MIN_CONFIDENCE] - Reject fuzzy hunks below this
+ * @param {boolean} [options.partial=false] - Keep placed hunks when others fail
  * @returns {PatchResult}
  */
-export function applyPatch(originalContent, unifiedDiff) {
+export function applyPatch(originalContent, unifiedDiff, options = {}) {
+  const {
+    fuzz = DEFAULT_FUZZ,
+    fuzzy = true,
+    minConfidence = DEFAULT_MIN_CONFIDENCE,
+    partial = false
+  } = options;
+  
   try {
     // Normalize line endings
     const normalizedContent = originalContent.replace(/\r\n/g, '\n');
-    const lines = normalizedContent.split('\n');
+    const lines = normalizedContent === '' ? [] : normalizedContent.split('\n');
     
     // If content ends with newline, last element will be empty string
     const hadTrailingNewline = normalizedContent.endsWith('\n');
@@ -63,88 +501,154 @@ export function applyPatch(originalContent, unifiedDiff) {
       lines.pop();
     }
     
-    // Parse diff into hunks
-    const diffLines = unifiedDiff.split('\n');
-    const hunks = [];
-    let currentHunk = null;
-    
-    for (const line of diffLines) {
-      if (line.startsWith('@@')) {
-        if (currentHunk) hunks.push(currentHunk);
-        const header = parseHunkHeader(line);
-        if (!header) {
-          return {
-            success: false,
-            patchedContent: null,
-            failedHunks: ['Invalid hunk header'],
-            error: 'Invalid hunk header format'
-          };
-        }
-        currentHunk = { ...header, changes: [] };
-      } else if (currentHunk) {
-        if (line.startsWith('+') && !line.startsWith('+++')) {
-          currentHunk.changes.push({ type: 'add', text: line.slice(1) });
-        } else if (line.startsWith('-') && !line.startsWith('---')) {
-          currentHunk.changes.push({ type: 'remove', text: line.slice(1) });
-        } else if (line.startsWith(' ')) {
-          currentHunk.changes.push({ type: 'context', text: line.slice(1) });
-        } else if (line === '') {
-          // Empty context line
-          currentHunk.changes.push({ type: 'context', text: '' });
-        }
-      }
+    const parsed = parseHunks(unifiedDiff);
+    if (!parsed.success) {
+      return {
+        success: false,
+        patchedContent: null,
+        failedHunks: ['Invalid hunk header'],
+        hunks: [],
+        error: parsed.error
+      };
     }
-    if (currentHunk) hunks.push(currentHunk);
+    const { hunks } = parsed;
     
     if (hunks.length === 0) {
       return {
         success: false,
         patchedContent: null,
         failedHunks: [],
+        hunks: [],
         error: 'No valid hunks found in diff'
       };
     }
     
-    // Apply hunks in reverse order to preserve line numbers
-    const result = [...lines];
-    const failedHunks = [];
+    // Apply hunks in order, tracking how far earlier hunks shifted the file
+    let result = [...lines];
+    const reports = [];
+    let shift = 0;
+    let minPosition = 0;
     
-    for (let i = hunks.length - 1; i >= 0; i--) {
-      const hunk = hunks[i];
-      const startIndex = hunk.oldStart - 1; // Convert to 0-based
+    // The final newline only changes when a hunk that carries a
+    // "\ No newline at end of file" marker lands on the end of the file;
+    // diffs without markers keep the file's own state
+    let endsWithNewline = hadTrailingNewline || lines.length === 0;
+    const markEnd = (hunk, reachesEnd) => {
+      if (reachesEnd && (hunk.oldNoNewline || hunk.newNoNewline)) {
+        endsWithNewline = !hunk.newNoNewline;
+      }
+    };
+    
+    for (const hunk of hunks) {
+      // A hunk with no old lines inserts after line oldStart
+      const hasOldLines = hunk.changes.some(c => c.type !== 'add');
+      const stated = (hasOldLines ? hunk.oldStart - 1 : hunk.oldStart) + shift;
       
-      // Build the new content for this region
-      const newLines = [];
-      let oldIndex = startIndex;
+      let placed = null;
+      for (let f = 0; f <= fuzz && !placed; f++) {
+        const { oldLines, newLines, lead, trail } = hunkLines(hunk, f);
+        const position = locate(result, oldLines, stated + lead, minPosition);
+        if (position !== -1) {
+          placed = { position, oldLines, newLines, lead, trail, fuzz: f };
+        }
+      }
       
-      for (const change of hunk.changes) {
-        if (change.type === 'context') {
-          // Verify context matches (with some fuzzy tolerance)
-          if (oldIndex < result.length) {
-            const expected = result[oldIndex]?.trim();
-            const actual = change.text.trim();
-            if (expected !== actual && expected !== undefined) {
-              // Context mismatch - try to continue anyway
-              log('WARN', `Context mismatch at line ${oldIndex + 1}: expected "${expected}", got "${actual}"`);
-            }
-            oldIndex++;
+      if (!placed) {
+        let reason = `context not found near line ${hunk.oldStart} (searched whole file, fuzz up to ${fuzz})`;
+        
+        if (fuzzy) {
+          const fuzzyResult = applyHunkFuzzy(result, hunk, stated);
+          
+          if (fuzzyResult && fuzzyResult.confidence >= minConfidence) {
+            const oldLength = result.length;
+            const offset = fuzzyResult.position - stated;
+            
+            // The whole file: too many lines to spread into splice()
+            result = fuzzyResult.lines;
+            shift += offset + result.length - oldLength;
+            minPosition = fuzzyResult.position + fuzzyResult.newLength;
+            markEnd(hunk, minPosition === result.length);
+            
+            reports.push({
+              index: hunk.index,
+              header: hunk.header,
+              applied: true,
+              line: fuzzyResult.position + 1,
+              offset,
+              fuzz: 0,
+              fuzzy: true,
+              confidence: fuzzyResult.confidence,
+              reason: null
+            });
+            continue;
           }
-          newLines.push(change.text);
-        } else if (change.type === 'add') {
-          newLines.push(change.text);
-        } else if (change.type === 'remove') {
-          oldIndex++;
-          // Don't add to newLines
+          
+          reason += fuzzyResult
+            ? `; fuzzy match confidence ${fuzzyResult.confidence} is below ${minConfidence}`
+            : '; fuzzy match failed';
         }
+        
+        reports.push({
+          index: hunk.index,
+          header: hunk.header,
+          applied: false,
+          line: null,
+          offset: 0,
+          fuzz: 0,
+          fuzzy: false,
+          confidence: 0,
+          reason
+        });
+        continue;
       }
       
-      // Replace the old lines with new lines
-      result.splice(startIndex, hunk.oldCount, ...newLines);
+      const { position, oldLines, newLines, lead, trail } = placed;
+      const offset = position - lead - stated;
+      
+      // Trimmed trailing context means the marker line was dropped too
+      markEnd(hunk, trail === 0 && position + oldLines.length === result.length);
+      result.splice(position, oldLines.length, ...newLines);
+      shift += offset + newLines.length - oldLines.length;
+      minPosition = position + newLines.length;
+      
+      reports.push({
+        index: hunk.index,
+        header: hunk.header,
+        applied: true,
+        line: position - lead + 1,
+        offset,
+        fuzz: placed.fuzz,
+        fuzzy: false,
+        confidence: 1,
+        reason: null
+      });
     }
     
+    const failed = reports.filter(r => !r.applied);
+    const failedHunks = failed.map(r => `Hunk #${r.index} ${r.header}: ${r.reason}`);
+    
+    if (failed.length > 0 && (!partial || failed.length === hunks.length)) {
+      return {
+        success: false,
+        patchedContent: null,
+        failedHunks,
+        hunks: reports,
+        error: `${failed.length} of ${hunks.length} hunk(s) failed to apply:\n  ${failedHunks.join('\n  ')}`
+      };
+    }
+    
+    // Partial mode: rejected hunks go back out verbatim, in unified format
+    const rejectText = failed.length > 0
+      ? failed.map(r => {
+          const hunk = hunks[r.index - 1];
+          return [hunk.header, ...hunk.raw].join('\n') + '\n';
+        }).join('')
+      : null;
+    
     // Reconstruct content
+    // (a patch that removes every line leaves an empty file)
     let finalContent = result.join('\n');
-    if (hadTrailingNewline || finalContent.length > 0) {
+    if (result.length > 0 && endsWithNewline) {
       finalContent += '\n';
     }
     
@@ -156,7 +660,10 @@ export function applyPatch(originalContent, unifiedDiff) {
     return {
       success: true,
       patchedContent: finalContent,
-      failedHunks: [],
+      failedHunks,
+      hunks: reports,
+      partial: failed.length > 0,
+      rejectText,
       error: null
     };
   } catch (err) {
@@ -164,59 +671,190 @@ export function applyPatch(originalContent, unifiedDiff) {
       success: false,
       patchedContent: null,
       failedHunks: [],
+      hunks: [],
       error: `Patch application error: ${err.message}`
     };
   }
 }
 
 /**
- * Creates a backup of a file before modification.
+ * Splits content into lines, each keeping its "\n" terminator, so a last
+ * line without a newline differs from the same text with one.
  * 
- * @param {string} filePath - Path to the file to backup
- * @returns {string|null} Path to backup file, or null on failure
+ * @param {string} content
+ * @returns {string[]}
  */
-export function createBackup(filePath) {
-  try {
-    const backupPath = `${filePath}.bak`;
-    
-    // Check if backup already exists - add timestamp to avoid overwrite
-    let finalBackupPath = backupPath;
-    if (fileExists(backupPath)) {
-      const timestamp = Date.now();
-      finalBackupPath = `${filePath}.${timestamp}.bak`;
-      log('WARN', `Backup exists, using timestamped backup: ${finalBackupPath}`);
+function terminatedLines(content) {
+  const normalized = content.replace(/\r\n/g, '\n');
+  return normalized.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Creates a unified diff between two versions of a file. The output
+ * round-trips through applyPatch byte for byte, including a missing
+ * final newline on either side ("\ No newline at end of file").
+ * 
+ * @param {string} oldContent - Original content ('' for a new file)
+ * @param {string} newContent - New content ('' for a deleted file)
+ * @param {Object} [options]
+ * @param {string|null} [options.oldPath] - Old header path (null for /dev/null)
+ * @param {string|null} [options.newPath] - New header path (null for /dev/null)
+ * @param {number} [options.context=3] - Context lines around each change
+ * @returns {string} The diff, or '' when the contents are identical
+ */
+export function createUnifiedDiff(oldContent, newContent, options = {}) {
+  const { oldPath = 'file', newPath = oldPath, context = 3 } = options;
+  
+  const oldLines = terminatedLines(oldContent);
+  const newLines = terminatedLines(newContent);
+  
+  // Line-level edit script: [{type, text}] with text still terminated
+  let ops;
+  const encoding = encodeLines([oldLines, newLines]);
+  if (encoding) {
+    const dmp = new DiffMatchPatch();
+    const diffs = dmp.diff_main(encoding.encoded[0], encoding.encoded[1], false);
+    const typeFor = { [DiffMatchPatch.DIFF_EQUAL]: 'context', [DiffMatchPatch.DIFF_DELETE]: 'remove', [DiffMatchPatch.DIFF_INSERT]: 'add' };
+    ops = diffs.flatMap(([op, chars]) => encoding.decode(chars).map(text => ({ type: typeFor[op], text })));
+  } else {
+    ops = [
+      ...oldLines.map(text => ({ type: 'remove', text })),
+      ...newLines.map(text => ({ type: 'add', text }))
+    ];
+  }
+  
+  // Removals before additions within each run of changes, as diff(1) prints them
+  for (let i = 0; i < ops.length; i++) {
+    if (ops[i].type === 'context') continue;
+    let end = i;
+    while (end < ops.length && ops[end].type !== 'context') end++;
+    const run = ops.slice(i, end);
+    ops.splice(i, run.length, ...run.filter(o => o.type === 'remove'), ...run.filter(o => o.type === 'add'));
+    i = end - 1;
+  }
+  
+  const changed = ops.map((o, i) => o.type === 'context' ? -1 : i).filter(i => i !== -1);
+  if (changed.length === 0) {
+    return '';
+  }
+  
+  // Group changes whose context would overlap into one hunk
+  const groups = [];
+  for (const index of changed) {
+    const group = groups[groups.length - 1];
+    if (group && index - group.last <= context * 2 + 1) {
+      group.last = index;
+    } else {
+      groups.push({ first: index, last: index });
     }
+  }
+  
+  // 0-based line number at each op, per side
+  const oldAt = [];
+  const newAt = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const op of ops) {
+    oldAt.push(oldLine);
+    newAt.push(newLine);
+    if (op.type !== 'add') oldLine++;
+    if (op.type !== 'remove') newLine++;
+  }
+  
+  const out = [
+    `--- ${oldPath === null ? '/dev/null' : `a/${oldPath}`}`,
+    `+++ ${newPath === null ? '/dev/null' : `b/${newPath}`}`
+  ];
+  
+  const prefixes = { context: ' ', remove: '-', add: '+' };
+  
+  for (const { first, last } of groups) {
+    const start = Math.max(0, first - context);
+    const end = Math.min(ops.length, last + context + 1);
+    const slice = ops.slice(start, end);
     
-    const result = copyFileUTF8(filePath, finalBackupPath);
-    if (!result.success) {
-      log('ERROR', `Failed to create backup: ${result.error}`);
-      return null;
-    }
+    const oldCount = slice.filter(o => o.type !== 'add').length;
+    const newCount = slice.filter(o => o.type !== 'remove').length;
+    // An empty side is numbered by the line before it
+    const oldStart = oldCount === 0 ? oldAt[start] : oldAt[start] + 1;
+    const newStart = newCount === 0 ? newAt[start] : newAt[start] + 1;
     
-    log('INFO', `Created backup: ${finalBackupPath}`);
-    return finalBackupPath;
-  } catch (err) {
-    log('ERROR', `Failed to create backup: ${err.message}`);
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of slice) {
+      const terminated = op.text.endsWith('\n');
+      out.push(prefixes[op.type] + (terminated ? op.text.slice(0, -1) : op.text));
+      if (!terminated) {
+        out.push('\\ No newline at end of file');
+      }
+    }
+  }
+  
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Creates a backup of a file before modification, in the
+ * content-addressed store under .arcl/backups.
+ * 
+ * @param {string} filePath - Path to the file to backup
+ * @param {string} [command='edit'] - arcl command, recorded with the restore point
+ * @returns {{hash: string, path: string}|null} Backup hash and object path, or null on failure
+ */
+export function createBackup(filePath, command = 'edit') {
+  const result = storeBackup(filePath, command);
+  if (!result.success) {
+    log('ERROR', `Failed to create backup: ${result.error}`);
     return null;
   }
+  
+  log('INFO', `Created backup: ${result.hash.slice(0, 12)} (${filePath})`);
+  return { hash: result.hash, path: result.path };
+}
+
+/**
+ * Builds the .rej file for a partially applied patch.
+ * 
+ * @param {string} absolutePath - Patched file
+ * @param {PatchResult} patchResult - Result with rejectText
+ * @returns {{type: 'write', path: string, content: string}}
+ */
+function rejectWrite(absolutePath, patchResult) {
+  const name = path.basename(absolutePath);
+  return {
+    type: 'write',
+    path: `${absolutePath}.rej`,
+    content: `--- a/${name}\n+++ b/${name}\n${patchResult.rejectText}`
+  };
 }
 
 /**
  * Applies a unified diff to a file safely with backup and automatic rollback.
+ * Only in-place edits; creations, deletions and renames go through
+ * applyDiffsToFiles.
  * 
  * Safety guarantees:
- * - Always creates .bak before any modification
- * - If patch fails → restore immediately
- * - If write fails → restore immediately
+ * - Always stores a restore point in .arcl/backups (see backup.js) before any modification
+ * - If patch fails → file is never touched
+ * - If write fails → transaction rolls back immediately
  * 
  * @param {string} filePath - Path to the file to modify
  * @param {string} unifiedDiff - The unified diff to apply
+ * @param {Object} [options] - Patch options, forwarded to applyPatch
  * @returns {ApplyResult}
  */
-export function applyDiffToFile(filePath, unifiedDiff) {
+export function applyDiffToFile(filePath, unifiedDiff, options = {}) {
   // Resolve to absolute path
   const absolutePath = path.resolve(filePath);
   
+  const headerResult = parseFileHeader(unifiedDiff);
+  if (headerResult.success && headerResult.header.kind !== 'modify') {
+    return {
+      success: false,
+      backupPath: null,
+      error: `Diff would ${headerResult.header.kind} the file; only in-place edits are allowed here`
+    };
+  }
+  
   // Verify file exists
   if (!fileExists(absolutePath)) {
     return {
@@ -226,6 +864,25 @@ export function applyDiffToFile(filePath, unifiedDiff) {
     };
   }
   
+  // Binary, oversized and generated files are never patched
+  const fileClass = classifyFile(absolutePath);
+  if (!fileClass.ok) {
+    return {
+      success: false,
+      backupPath: null,
+      error: `Cannot patch: ${fileClass.reason}`
+    };
+  }
+  
+  const endings = checkLineEndings(absolutePath);
+  if (!endings.success) {
+    return {
+      success: false,
+      backupPath: null,
+      error: `Cannot patch: ${endings.error}`
+    };
+  }
+  
   // Read original content with UTF-8 encoding
   const readResult = readFileUTF8(absolutePath);
   if (!readResult.success) {
@@ -238,8 +895,8 @@ export function applyDiffToFile(filePath, unifiedDiff) {
   const originalContent = readResult.content;
   
   // Create backup FIRST - before any modification attempt
-  const backupPath = createBackup(absolutePath);
-  if (!backupPath) {
+  const backup = createBackup(absolutePath, 'edit');
+  if (!backup) {
     return {
       success: false,
       backupPath: null,
@@ -248,44 +905,249 @@ export function applyDiffToFile(filePath, unifiedDiff) {
   }
   
   // Apply patch
-  const patchResult = applyPatch(originalContent, unifiedDiff);
+  const patchResult = applyPatch(originalContent, unifiedDiff, options);
   
   if (!patchResult.success) {
     // Patch failed - backup exists but file unchanged, no rollback needed
     log('WARN', `Patch failed: ${patchResult.error}`);
     return {
       success: false,
-      backupPath,
+      backupPath: backup.path,
+      backupHash: backup.hash,
+      hunks: patchResult.hunks,
       error: patchResult.error
     };
   }
   
-  // Write patched content with UTF-8 encoding
-  const writeResult = writeFileUTF8(absolutePath, patchResult.patchedContent);
+  // Write patched content (and any .rej) through a journaled transaction
+  const writes = [{ type: 'write', path: absolutePath, content: patchResult.patchedContent }];
+  if (patchResult.partial) {
+    writes.push(rejectWrite(absolutePath, patchResult));
+  }
+  const txResult = runTransaction('edit', writes);
   
-  if (writeResult.success) {
+  if (txResult.success) {
     log('INFO', `Applied diff to: ${absolutePath}`);
-    log('INFO', `Backup at: ${backupPath}`);
+    log('INFO', `Backup at: ${backup.path}`);
+    if (patchResult.partial) {
+      log('WARN', `${patchResult.failedHunks.length} hunk(s) rejected, saved to: ${absolutePath}.rej`);
+    }
     return {
       success: true,
-      backupPath,
+      backupPath: backup.path,
+      backupHash: backup.hash,
+      hunks: patchResult.hunks,
+      partial: patchResult.partial,
+      rejectPath: patchResult.partial ? `${absolutePath}.rej` : null,
       error: null
     };
-  } else {
-    // Write failed - ROLLBACK immediately
-    log('ERROR', `Write failed: ${writeResult.error}. Rolling back...`);
-    const restored = restoreFromBackup(absolutePath, backupPath);
-    if (restored) {
-      log('INFO', 'Rollback successful');
-    } else {
-      log('ERROR', 'CRITICAL: Rollback failed! Manual recovery needed from: ' + backupPath);
+  }
+  
+  // The transaction has already rolled the file back (or kept its journal)
+  log('ERROR', `Write failed: ${txResult.error}`);
+  return {
+    success: false,
+    backupPath: backup.path,
+    backupHash: backup.hash,
+    error: `Write failed: ${txResult.error}`
+  };
+}
+
+/**
+ * @typedef {Object} PreparedChange
+ * @property {boolean} success - Whether the diff can be applied
+ * @property {'modify'|'create'|'delete'|'rename'|null} kind - Operation the diff describes
+ * @property {string} filePath - Absolute path the diff starts from (the new file for create)
+ * @property {string|null} newFilePath - Absolute rename target (rename only)
+ * @property {HunkReport[]} hunks - Per-hunk placement report
+ * @property {boolean} partial - Some hunks were rejected
+ * @property {string|null} rejectPath - Path of the .rej file (partial only)
+ * @property {Array<{type: 'write'|'delete', path: string, content?: string, format?: Object}>} writes - Transaction operations
+ * @property {string|null} error - Error message (null on success)
+ */
+
+/**
+ * Works out in memory what a single-file diff does. Nothing is written.
+ * 
+ * - modify: patch the file in place
+ * - create: patch empty content; the file must not exist yet
+ * - delete: the patch must remove every line; the file must exist
+ * - rename: patch (if there are hunks) and move; the target must not exist
+ * 
+ * Creations and deletions are applied exactly: no fuzzy matching, no
+ * partial results.
+ * 
+ * @param {{filePath: string, diff: string, newFilePath?: string}} change - newFilePath
+ *   overrides the rename target from the diff header
+ * @param {Object} [options] - Patch options, forwarded to applyPatch
+ * @returns {PreparedChange}
+ */
+export function prepareChange(change, options = {}) {
+  const absolutePath = path.resolve(change.filePath);
+  const fail = (error, hunks = []) => ({
+    success: false,
+    kind: null,
+    filePath: absolutePath,
+    newFilePath: null,
+    hunks,
+    partial: false,
+    rejectPath: null,
+    writes: [],
+    error
+  });
+  
+  const headerResult = parseFileHeader(change.diff);
+  if (!headerResult.success) {
+    return fail(headerResult.error);
+  }
+  const { kind } = headerResult.header;
+  const newFilePath = kind === 'rename'
+    ? path.resolve(change.newFilePath || headerResult.header.newPath)
+    : null;
+  
+  if (kind === 'create') {
+    if (fileExists(absolutePath)) {
+      return fail(`File already exists: ${absolutePath}`);
     }
-    return {
-      success: false,
-      backupPath,
-      error: `Write failed: ${writeResult.error}. ${restored ? 'Rolled back.' : 'ROLLBACK FAILED!'}`
-    };
+  } else if (!fileExists(absolutePath)) {
+    return fail(`File not found: ${absolutePath}`);
   }
+  
+  if (newFilePath && fileExists(newFilePath)) {
+    return fail(`Rename target already exists: ${newFilePath}`);
+  }
+  
+  let originalContent = '';
+  if (kind !== 'create') {
+    const fileClass = classifyFile(absolutePath);
+    if (!fileClass.ok) {
+      return fail(`Cannot patch: ${fileClass.reason}`);
+    }
+    
+    const endings = checkLineEndings(absolutePath);
+    if (!endings.success) {
+      return fail(`Cannot patch: ${endings.error}`);
+    }
+    
+    const readResult = readFileUTF8(absolutePath);
+    if (!readResult.success) {
+      return fail(`Failed to read file: ${readResult.error}`);
+    }
+    originalContent = readResult.content;
+  }
+  
+  const exact = kind === 'create' || kind === 'delete';
+  const patchOptions = exact ? { ...options, fuzzy: false, partial: false } : options;
+  
+  // A pure rename carries no hunks
+  const patchResult = kind === 'rename' && !/^@@/m.test(change.diff)
+    ? { success: true, patchedContent: originalContent, hunks: [], partial: false }
+    : applyPatch(originalContent, change.diff, patchOptions);
+  
+  if (!patchResult.success) {
+    return fail(patchResult.error, patchResult.hunks);
+  }
+  
+  if (kind === 'delete' && patchResult.patchedContent !== '') {
+    return fail('Delete diff does not remove every line of the file', patchResult.hunks);
+  }
+  
+  const target = newFilePath || absolutePath;
+  const writes = kind === 'delete'
+    ? [{ type: 'delete', path: absolutePath }]
+    : [{ type: 'write', path: target, content: patchResult.patchedContent }];
+  
+  if (kind === 'rename') {
+    // The moved file keeps its encoding and line endings
+    writes[0].format = getFileFormat(absolutePath);
+    writes.push({ type: 'delete', path: absolutePath });
+  }
+  
+  let rejectPath = null;
+  if (patchResult.partial) {
+    const reject = rejectWrite(target, patchResult);
+    writes.push(reject);
+    rejectPath = reject.path;
+  }
+  
+  return {
+    success: true,
+    kind,
+    filePath: absolutePath,
+    newFilePath,
+    hunks: patchResult.hunks,
+    partial: !!patchResult.partial,
+    rejectPath,
+    writes,
+    error: null
+  };
+}
+
+/**
+ * @typedef {Object} MultiApplyResult
+ * @property {boolean} success - Whether every diff was applied
+ * @property {Array<{filePath: string, newFilePath: string|null, kind: string, backupPath: string|null, backupHash: string|null, rejectPath: string|null}>} applied - Files written (empty after rollback)
+ * @property {string|null} error - Error message (null on success)
+ */
+
+/**
+ * Applies several diffs as one unit. Each diff may modify, create,
+ * delete or rename its file (see prepareChange).
+ * 
+ * Every change is computed in memory first; if any file fails, nothing
+ * is written. The results are then committed in one transaction, so a
+ * failed write leaves every file as it was.
+ * 
+ * @param {Array<{filePath: string, diff: string, newFilePath?: string}>} changes
+ * @param {Object} [options] - Patch options, forwarded to applyPatch
+ * @param {string} [options.command='change'] - arcl command, recorded in the journal
+ * @returns {MultiApplyResult}
+ */
+export function applyDiffsToFiles(changes, options = {}) {
+  const { command = 'change', ...patchOptions } = options;
+  const prepared = [];
+  
+  for (const change of changes) {
+    const result = prepareChange(change, patchOptions);
+    if (!result.success) {
+      return { success: false, applied: [], error: `${change.filePath}: ${result.error}` };
+    }
+    prepared.push(result);
+  }
+  
+  // Two diffs touching the same path cannot be ordered safely
+  const touched = prepared.flatMap(p => p.writes.map(w => w.path));
+  const clash = touched.find((p, i) => touched.indexOf(p) !== i);
+  if (clash) {
+    return { success: false, applied: [], error: `More than one diff touches ${clash}` };
+  }
+  
+  const applied = prepared.map(p => ({
+    filePath: p.filePath,
+    newFilePath: p.newFilePath,
+    kind: p.kind,
+    backupPath: null,
+    backupHash: null,
+    rejectPath: p.rejectPath
+  }));
+  
+  for (const entry of applied) {
+    if (entry.kind === 'create') continue;
+    const backup = createBackup(entry.filePath, command);
+    if (!backup) {
+      return { success: false, applied: [], error: `${entry.filePath}: Failed to create backup - aborting for safety` };
+    }
+    entry.backupPath = backup.path;
+    entry.backupHash = backup.hash;
+  }
+  
+  const txResult = runTransaction(command, prepared.flatMap(p => p.writes));
+  if (!txResult.success) {
+    return { success: false, applied: [], error: txResult.error };
+  }
+  
+  log('INFO', `Applied ${applied.length} diff(s) in one transaction`);
+  return { success: true, applied, error: null };
 }
 
 /**
@@ -306,4 +1168,4 @@ export function restoreFromBackup(filePath, backupPath) {
   }
 }
 
-export default { applyPatch, applyDiffToFile, createBackup, restoreFromBackup };
+export default { applyPatch, createUnifiedDiff, applyDiffToFile, applyDiffsToFiles, prepareChange, parseFileHeader, parseDiff, normalizeDiffPath, createBackup, restoreFromBackup };
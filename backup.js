@@ -0,0 +1,315 @@
+/**
+ * Backup Store Module
+ *
+ * Content-addressed copies of files taken before arcl changes them.
+ *
+ * Layout (under .arcl/backups/):
+ *   objects/<aa>/<sha256>  - File bytes, named by their SHA-256; identical
+ *                            content is stored once
+ *   index.json             - Restore points, oldest first:
+ *                            {hash, file, size, timestamp, command}
+ *
+ * Every backup adds a restore point, so a file keeps one per change
+ * instead of a single .bak. History entries link to restore points by
+ * hash. Retention (backup_retention in config) drops old restore points
+ * and deletes objects nothing refers to anymore. Index updates hold
+ * index.lock so concurrent arcl processes do not drop each other's records.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { log } from './logger.js';
+import { readFileUTF8, writeFileUTF8, copyFileUTF8, fileExists, deleteFile, withFileLock } from './io.js';
+import { getBackupsDir, ensureArclDir } from './history.js';
+
+/**
+ * @typedef {Object} BackupRecord
+ * @property {string} hash - SHA-256 of the file bytes
+ * @property {string} file - Absolute path of the backed-up file
+ * @property {number} size - Size in bytes
+ * @property {string} timestamp - ISO 8601 timestamp
+ * @property {string} command - arcl command that took the backup
+ */
+
+/**
+ * @typedef {Object} BackupRetention
+ * @property {number} max_per_file - Restore points kept per file (0 = unlimited)
+ * @property {number} max_age_days - Drop restore points older than this (0 = never)
+ * @property {number} max_total_bytes - Cap on stored object bytes, oldest dropped first (0 = unlimited)
+ */
+
+/** @type {BackupRetention} */
+export const DEFAULT_RETENTION = {
+  max_per_file: 0,
+  max_age_days: 30,
+  max_total_bytes: 104857600
+};
+
+/** @type {BackupRetention} */
+let retentionPolicy = DEFAULT_RETENTION;
+
+/**
+ * Sets the retention applied after every backup (see config backup_retention).
+ *
+ * @param {Partial<BackupRetention>|null} retention - null restores the defaults
+ */
+export function setRetentionPolicy(retention) {
+  retentionPolicy = { ...DEFAULT_RETENTION, ...retention };
+}
+
+/**
+ * Gets the restore point index path.
+ *
+ * @returns {string}
+ */
+function getIndexPath() {
+  return path.join(getBackupsDir(), 'index.json');
+}
+
+/**
+ * Gets the lock file that serializes index updates.
+ *
+ * @returns {string}
+ */
+function getIndexLockPath() {
+  return path.join(getBackupsDir(), 'index.lock');
+}
+
+/**
+ * Gets where the object for a hash is stored.
+ *
+ * @param {string} hash - SHA-256 hex digest
+ * @returns {string}
+ */
+export function getObjectPath(hash) {
+  return path.join(getBackupsDir(), 'objects', hash.slice(0, 2), hash);
+}
+
+/**
+ * Hashes a file's bytes.
+ *
+ * @param {string} filePath
+ * @returns {string} SHA-256 hex digest
+ */
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Hashes a file the way the store names its objects.
+ *
+ * @param {string} filePath
+ * @returns {string|null} SHA-256 hex digest, or null if the file does not exist
+ */
+export function getFileHash(filePath) {
+  const absolutePath = path.resolve(filePath);
+  return fileExists(absolutePath) ? hashFile(absolutePath) : null;
+}
+
+/**
+ * Reads the restore point index.
+ *
+ * @returns {{success: boolean, records?: BackupRecord[], error?: string}}
+ */
+function readIndex() {
+  const indexPath = getIndexPath();
+  if (!fileExists(indexPath)) {
+    return { success: true, records: [] };
+  }
+
+  const readResult = readFileUTF8(indexPath);
+  if (!readResult.success) {
+    return { success: false, error: readResult.error };
+  }
+
+  try {
+    return { success: true, records: JSON.parse(readResult.content) };
+  } catch (err) {
+    return { success: false, error: `Invalid backup index: ${err.message}` };
+  }
+}
+
+/**
+ * Picks the restore points retention keeps. The newest record always stays.
+ *
+ * @param {BackupRecord[]} records - Oldest first
+ * @param {BackupRetention} retention
+ * @returns {BackupRecord[]} Kept records, oldest first
+ */
+function applyRetention(records, retention) {
+  const cutoff = retention.max_age_days > 0
+    ? Date.now() - retention.max_age_days * 24 * 60 * 60 * 1000
+    : -Infinity;
+  const perFile = new Map();
+  const counted = new Set();
+  let totalBytes = 0;
+  const kept = [];
+
+  for (let i = records.length - 1; i >= 0; i--) {
+    const record = records[i];
+    const newest = kept.length === 0;
+    const fileCount = perFile.get(record.file) || 0;
+    const addedBytes = counted.has(record.hash) ? 0 : record.size;
+
+    if (!newest) {
+      if (Date.parse(record.timestamp) < cutoff) continue;
+      if (retention.max_per_file > 0 && fileCount >= retention.max_per_file) continue;
+      if (retention.max_total_bytes > 0 && totalBytes + addedBytes > retention.max_total_bytes) continue;
+    }
+
+    perFile.set(record.file, fileCount + 1);
+    counted.add(record.hash);
+    totalBytes += addedBytes;
+    kept.push(record);
+  }
+
+  return kept.reverse();
+}
+
+/**
+ * Writes the index after applying retention, deleting objects that no
+ * kept restore point refers to.
+ *
+ * @param {BackupRecord[]} records - Oldest first
+ * @param {BackupRetention} retention
+ * @returns {{success: boolean, removed: number, error?: string}}
+ */
+function saveIndex(records, retention) {
+  const kept = applyRetention(records, retention);
+  const writeResult = writeFileUTF8(getIndexPath(), JSON.stringify(kept, null, 2));
+  if (!writeResult.success) {
+    return { success: false, removed: 0, error: writeResult.error };
+  }
+
+  const live = new Set(kept.map(r => r.hash));
+  const dropped = new Set(records.filter(r => !live.has(r.hash)).map(r => r.hash));
+  for (const hash of dropped) {
+    const result = deleteFile(getObjectPath(hash));
+    if (!result.success) {
+      log('WARN', `Could not delete backup object ${hash}: ${result.error}`);
+    }
+  }
+
+  if (records.length > kept.length) {
+    log('INFO', `Pruned ${records.length - kept.length} restore point(s), ${dropped.size} object(s)`);
+  }
+  return { success: true, removed: records.length - kept.length };
+}
+
+/**
+ * Stores a copy of a file and records a restore point for it.
+ *
+ * @param {string} filePath - File about to change
+ * @param {string} [command='edit'] - arcl command taking the backup
+ * @returns {{success: boolean, hash?: string, path?: string, error?: string}}
+ */
+export function storeBackup(filePath, command = 'edit') {
+  try {
+    const absolutePath = path.resolve(filePath);
+
+    const dirResult = ensureArclDir();
+    if (!dirResult.success) {
+      return { success: false, error: dirResult.error };
+    }
+
+    const hash = hashFile(absolutePath);
+    const objectPath = getObjectPath(hash);
+
+    // Object and record go in together, so a concurrent prune cannot
+    // delete the object between the two
+    const saveResult = withFileLock(getIndexLockPath(), () => {
+      if (!fileExists(objectPath)) {
+        const copyResult = copyFileUTF8(absolutePath, objectPath);
+        if (!copyResult.success) return copyResult;
+      }
+
+      const indexResult = readIndex();
+      if (!indexResult.success) return indexResult;
+
+      return saveIndex([...indexResult.records, {
+        hash,
+        file: absolutePath,
+        size: fs.statSync(objectPath).size,
+        timestamp: new Date().toISOString(),
+        command
+      }], retentionPolicy);
+    });
+    if (!saveResult.success) {
+      return { success: false, error: saveResult.error };
+    }
+
+    return { success: true, hash, path: objectPath };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Lists restore points, newest first.
+ *
+ * @param {string} [filePath] - Only restore points for this file
+ * @returns {{success: boolean, backups?: BackupRecord[], error?: string}}
+ */
+export function listBackups(filePath) {
+  const indexResult = readIndex();
+  if (!indexResult.success) return indexResult;
+
+  const absolutePath = filePath ? path.resolve(filePath) : null;
+  const backups = indexResult.records
+    .filter(r => !absolutePath || r.file === absolutePath)
+    .reverse();
+
+  return { success: true, backups };
+}
+
+/**
+ * Writes a stored object back to a file, after checking its hash.
+ *
+ * @param {string} hash - Object to restore
+ * @param {string} filePath - Destination
+ * @returns {{success: boolean, error?: string}}
+ */
+export function restoreBackup(hash, filePath) {
+  const objectPath = getObjectPath(hash);
+  if (!fileExists(objectPath)) {
+    return { success: false, error: `Backup ${hash.slice(0, 12)} not found (pruned by backup_retention?)` };
+  }
+
+  try {
+    if (hashFile(objectPath) !== hash) {
+      return { success: false, error: `Backup ${hash.slice(0, 12)} is corrupt` };
+    }
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+
+  return copyFileUTF8(objectPath, filePath);
+}
+
+/**
+ * Applies retention to the store without adding a restore point.
+ *
+ * @param {Partial<BackupRetention>} [retention] - Defaults to the current policy
+ * @returns {{success: boolean, removed: number, error?: string}}
+ */
+export function pruneBackups(retention) {
+  return withFileLock(getIndexLockPath(), () => {
+    const indexResult = readIndex();
+    if (!indexResult.success) {
+      return { success: false, removed: 0, error: indexResult.error };
+    }
+    return saveIndex(indexResult.records, { ...retentionPolicy, ...retention });
+  });
+}
+
+export default {
+  DEFAULT_RETENTION,
+  setRetentionPolicy,
+  getObjectPath,
+  getFileHash,
+  storeBackup,
+  listBackups,
+  restoreBackup,
+  pruneBackups
+};
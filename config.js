@@ -1,39 +1,307 @@
 /**
  * Configuration Module (v2.3)
  * 
- * User-defined guardrails via .arcl/config.json
+ * User-defined guardrails and provider settings, resolved from layers.
+ * Later layers win:
+ *   1. defaults     DEFAULT_CONFIG
+ *   2. global       ~/.config/arcl/config.json ($XDG_CONFIG_HOME/arcl)
+ *   3. workspace    <workspace>/.arcl/config.json
+ *   4. project      <project>/.arcl/config.json (see arcl init)
+ *   5. environment  ARCL_<KEY>, e.g. ARCL_MAX_DIFF_LINES=200;
+ *                   nested keys use a double underscore: ARCL_FILE_LIMITS__MAX_BYTES
+ *   6. CLI flags    --config <key>=<value> (dotted keys: file_limits.max_bytes)
+ * Object-valued settings merge key by key; everything else is replaced.
+ * Every effective value records the layer it came from.
+ * 
+ * Validation: every layer is checked against CONFIG_SCHEMA (types,
+ * ranges, allowed values, unknown keys) before it is applied. Errors
+ * name the file or variable and the setting, e.g.
+ *   Invalid config in /ws/.arcl/config.json:
+ *     file_limits.max_bytes: expected an integer >= 1, got -5
+ * `arcl config validate` runs the same checks without loading.
+ * 
+ * Providers:
+ * - provider: gemini | openrouter | local (default gemini)
+ * - model: OpenRouter model
+ * - local_url, local_model: Ollama / llama.cpp endpoint and model
+ * API keys are read from the environment only, never from config files.
  * 
  * Policies:
  * - allow_full_rewrites: Permit diffs that replace entire files
- * - forbid_patterns: Regex patterns to reject in LLM output
+ * - forbid_patterns: Regex patterns to reject in the lines a diff adds; a
+ *   pattern may be scoped to path globs and languages
  * - max_diff_lines: Maximum lines in a single diff
  * - require_confirmation: Always ask before applying (default true)
+ * - patch_fuzz: Context lines a hunk may ignore when relocating (default 2)
+ * - fuzzy_patching: Fall back to diff-match-patch for unplaceable hunks
+ * - fuzzy_min_confidence: Minimum confidence (0-1) for a fuzzy hunk
+ * - file_format: Encoding, BOM and line endings to write (default: preserve each file's own)
+ * - file_format_overrides: Per-glob file_format settings, e.g. {"*.cs": {"line_endings": "crlf"}}
+ * - file_limits: Size and line-length thresholds for files sent to a provider or patched
+ * - force_text_paths: Globs always treated as plain text (size limits still apply)
+ * - protected_paths: Globs arcl never creates, edits, renames or removes
+ * - editable_paths: If set, the only globs arcl may change (protected_paths still win)
+ * - secret_scanning: Redact secrets sent to providers, reject diffs adding them (default true)
+ * - secret_patterns: Extra secret rules, name -> regex (see secrets.js)
+ * - backup_retention: How long .arcl/backups keeps restore points
+ * 
+ * Policy modules: every .arcl/policies/*.js (workspace, then project)
+ * exports a check that gets a parsed diff, its file path and the
+ * command, and returns pass, warn or fail with a message. They run
+ * after the built-in checks; any fail rejects the change.
  */
 
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { pathToFileURL } from 'url';
 import { readFileUTF8, writeFileUTF8, fileExists } from './io.js';
-import { getArclDir, ensureArclDir } from './history.js';
+import { getArclDir, getWorkspaceArclDir, ensureArclDir } from './history.js';
+import { getDefaultWorkspaceRoot, getCurrentProject, matchesGlob } from './workspace.js';
+import { parseDiff } from './applyDiff.js';
+import { listProviders } from './providers/index.js';
+import { buildSecretRules, findAddedSecrets } from './secrets.js';
 
 /**
  * @typedef {Object} Config
  * @property {boolean} allow_full_rewrites - Allow diffs that replace entire files
- * @property {string[]} forbid_patterns - Regex patterns to reject
+ * @property {Array<string|ForbidPattern>} forbid_patterns - Regex patterns to reject in added lines
  * @property {number} max_diff_lines - Max lines per diff (0 = unlimited)
  * @property {boolean} require_confirmation - Always confirm before applying
+ * @property {number} patch_fuzz - Max context lines ignored per hunk end
+ * @property {boolean} fuzzy_patching - Allow diff-match-patch fallback
+ * @property {number} fuzzy_min_confidence - Reject fuzzy hunks below this
+ * @property {{encoding: string, bom: string, line_endings: string}} file_format - Write format
+ * @property {Object<string, Object>} file_format_overrides - file_format settings by glob
+ * @property {{max_bytes: number, max_context_bytes: number, max_line_length: number}} file_limits - File classification thresholds
+ * @property {string[]} force_text_paths - Globs that skip binary/minified/generated detection
+ * @property {string[]} protected_paths - Globs arcl never changes
+ * @property {string[]} editable_paths - Globs arcl may change (empty = all but protected)
+ * @property {boolean} secret_scanning - Redact outgoing secrets, reject diffs that add them
+ * @property {Object<string, string>} secret_patterns - Extra secret rules, name -> regex
+ * @property {{max_per_file: number, max_age_days: number, max_total_bytes: number}} backup_retention - Backup store limits (0 = unlimited)
+ * @property {string} provider - LLM provider
+ * @property {string|null} model - OpenRouter model (null = provider default)
+ * @property {string|null} local_url - Local provider endpoint (null = Ollama default)
+ * @property {string|null} local_model - Local provider model (null = provider default)
+ */
+
+/**
+ * @typedef {Object} ConfigSource
+ * @property {'default'|'global'|'workspace'|'project'|'env'|'flag'} layer
+ * @property {string|null} origin - File path, environment variable or flag (null for defaults)
+ */
+
+/**
+ * @typedef {Object} ConfigLayerFile
+ * @property {'global'|'workspace'|'project'} layer
+ * @property {string} path - config.json path
+ * @property {boolean} exists
+ */
+
+/**
+ * @typedef {Object} ForbidPattern
+ * @property {string} pattern - Regex, matched case-insensitively
+ * @property {string[]} [paths] - Only files matching one of these globs
+ * @property {string[]} [languages] - Only files in one of these languages (see LANGUAGE_EXTENSIONS)
+ * @property {'added'|'all'} [lines] - Lines checked: added (default), or added, removed and context
+ * @property {string} [message] - Shown with a violation
+ */
+
+/**
+ * @typedef {Object} SettingSchema
+ * @property {'boolean'|'integer'|'number'|'string'|'regex'|'url'|'array'|'object'} [type] - Omitted for oneOf
+ * @property {boolean} [nullable] - null is allowed
+ * @property {number} [min] - Lowest number allowed
+ * @property {number} [max] - Highest number allowed
+ * @property {string[]} [enum] - Allowed strings
+ * @property {SettingSchema} [items] - Schema of each array item
+ * @property {Object<string, SettingSchema>} [properties] - Keys of an object setting
+ * @property {SettingSchema} [values] - Schema of every value of a map (keys are free-form)
+ * @property {string[]} [required] - Keys an object setting must have
+ * @property {SettingSchema[]} [oneOf] - Alternatives, picked by the value's JSON type
+ * @property {string} [description]
+ */
+
+/**
+ * @typedef {Object} ConfigError
+ * @property {string|null} key - Setting at fault, e.g. file_limits.max_bytes (null = the whole layer)
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} ConfigLayer
+ * @property {'global'|'workspace'|'project'|'env'|'flag'} layer
+ * @property {string} origin - File path, environment variable or flag
+ * @property {Object|null} values - Settings, or null if unreadable
+ * @property {ConfigError[]} errors - Validation errors (empty = valid)
  */
 
 /**
  * Default configuration.
  */
-const DEFAULT_CONFIG = {
+export const DEFAULT_CONFIG = {
   allow_full_rewrites: false,
   forbid_patterns: ['eval\\(', 'exec\\(', '__import__\\('],
   max_diff_lines: 500,
-  require_confirmation: true
+  require_confirmation: true,
+  patch_fuzz: 2,
+  fuzzy_patching: true,
+  fuzzy_min_confidence: 0.8,
+  file_format: {
+    encoding: 'preserve',
+    bom: 'preserve',
+    line_endings: 'preserve'
+  },
+  file_format_overrides: {},
+  file_limits: {
+    max_bytes: 1048576,
+    max_context_bytes: 51200,
+    max_line_length: 5000
+  },
+  force_text_paths: [],
+  protected_paths: ['.env', '.env.*', '*.lock', 'package-lock.json', 'pnpm-lock.yaml', '.git/'],
+  editable_paths: [],
+  secret_scanning: true,
+  secret_patterns: {},
+  backup_retention: {
+    max_per_file: 0,
+    max_age_days: 30,
+    max_total_bytes: 104857600
+  },
+  provider: 'gemini',
+  model: null,
+  local_url: null,
+  local_model: null
+};
+
+/** File extensions of the languages a forbid_patterns entry can be scoped to */
+export const LANGUAGE_EXTENSIONS = {
+  javascript: ['.js', '.mjs', '.cjs', '.jsx'],
+  typescript: ['.ts', '.mts', '.cts', '.tsx'],
+  python: ['.py', '.pyw'],
+  ruby: ['.rb'],
+  go: ['.go'],
+  rust: ['.rs'],
+  java: ['.java'],
+  kotlin: ['.kt', '.kts'],
+  csharp: ['.cs'],
+  c: ['.c', '.h'],
+  cpp: ['.cc', '.cpp', '.cxx', '.hh', '.hpp', '.hxx'],
+  php: ['.php'],
+  shell: ['.sh', '.bash', '.zsh'],
+  powershell: ['.ps1', '.psm1'],
+  sql: ['.sql'],
+  html: ['.html', '.htm'],
+  css: ['.css', '.scss', '.less'],
+  json: ['.json'],
+  yaml: ['.yml', '.yaml'],
+  markdown: ['.md', '.markdown']
+};
+
+/** @type {Object<string, SettingSchema>} */
+const FILE_FORMAT_PROPERTIES = {
+  encoding: { type: 'string', enum: ['preserve', 'utf8', 'utf16le', 'utf16be', 'latin1'], description: 'Encoding to write' },
+  bom: { type: 'string', enum: ['preserve', 'add', 'strip'], description: 'Byte order mark' },
+  line_endings: { type: 'string', enum: ['preserve', 'lf', 'crlf'], description: 'Line endings to write' }
+};
+
+/**
+ * Schema of every setting. loadConfig validates each layer against it;
+ * so does `arcl config validate`.
+ * 
+ * @type {Object<string, SettingSchema>}
+ */
+export const CONFIG_SCHEMA = {
+  allow_full_rewrites: { type: 'boolean', description: 'Permit diffs that replace entire files' },
+  forbid_patterns: {
+    type: 'array',
+    items: {
+      oneOf: [
+        { type: 'regex' },
+        {
+          type: 'object',
+          required: ['pattern'],
+          properties: {
+            pattern: { type: 'regex', description: 'Regex, matched case-insensitively' },
+            paths: { type: 'array', items: { type: 'string' }, description: 'Only files matching one of these globs' },
+            languages: { type: 'array', items: { type: 'string', enum: Object.keys(LANGUAGE_EXTENSIONS) }, description: 'Only files in these languages' },
+            lines: { type: 'string', enum: ['added', 'all'], description: 'Lines checked (default added)' },
+            message: { type: 'string', description: 'Shown with a violation' }
+          }
+        }
+      ]
+    },
+    description: 'Regex patterns to reject in the lines a diff adds'
+  },
+  max_diff_lines: { type: 'integer', min: 0, description: 'Maximum lines in a single diff (0 = unlimited)' },
+  require_confirmation: { type: 'boolean', description: 'Always ask before applying' },
+  patch_fuzz: { type: 'integer', min: 0, max: 10, description: 'Context lines a hunk may ignore when relocating' },
+  fuzzy_patching: { type: 'boolean', description: 'Fall back to diff-match-patch for unplaceable hunks' },
+  fuzzy_min_confidence: { type: 'number', min: 0, max: 1, description: 'Minimum confidence for a fuzzy hunk' },
+  file_format: { type: 'object', properties: FILE_FORMAT_PROPERTIES, description: 'Encoding, BOM and line endings to write' },
+  file_format_overrides: {
+    type: 'object',
+    values: { type: 'object', properties: FILE_FORMAT_PROPERTIES },
+    description: 'Per-glob file_format settings'
+  },
+  file_limits: {
+    type: 'object',
+    properties: {
+      max_bytes: { type: 'integer', min: 1, description: 'Largest file patched or sent' },
+      max_context_bytes: { type: 'integer', min: 1, description: 'Largest file sent whole as context' },
+      max_line_length: { type: 'integer', min: 1, description: 'Longer lines mark a file as minified' }
+    },
+    description: 'Size and line-length thresholds'
+  },
+  force_text_paths: { type: 'array', items: { type: 'string' }, description: 'Globs always treated as plain text' },
+  protected_paths: { type: 'array', items: { type: 'string' }, description: 'Globs arcl never creates, edits, renames or removes' },
+  editable_paths: { type: 'array', items: { type: 'string' }, description: 'If set, the only globs arcl may change (protected_paths still win)' },
+  secret_scanning: { type: 'boolean', description: 'Redact secrets sent to providers and reject diffs that add them' },
+  secret_patterns: { type: 'object', values: { type: 'regex' }, description: 'Extra secret rules, name -> regex' },
+  backup_retention: {
+    type: 'object',
+    properties: {
+      max_per_file: { type: 'integer', min: 0, description: 'Restore points kept per file (0 = unlimited)' },
+      max_age_days: { type: 'integer', min: 0, description: 'Drop older restore points (0 = never)' },
+      max_total_bytes: { type: 'integer', min: 0, description: 'Cap on stored bytes (0 = unlimited)' }
+    },
+    description: 'How long .arcl/backups keeps restore points'
+  },
+  provider: { type: 'string', enum: listProviders(), description: 'LLM provider' },
+  model: { type: 'string', nullable: true, description: 'OpenRouter model' },
+  local_url: { type: 'url', nullable: true, description: 'Local provider endpoint' },
+  local_model: { type: 'string', nullable: true, description: 'Local provider model' }
 };
 
+/** Prefix of configuration environment variables */
+const ENV_PREFIX = 'ARCL_';
+
+/** --config <key>=<value> overrides from the command line, in order */
+let cliOverrides = [];
+
+/**
+ * Sets the --config overrides every loadConfig call applies last.
+ * 
+ * @param {string[]} overrides - "key=value" strings
+ */
+export function setConfigOverrides(overrides) {
+  cliOverrides = overrides || [];
+}
+
 /**
- * Gets the config file path.
+ * Gets the global (per-user) config file path.
+ * 
+ * @returns {string}
+ */
+export function getGlobalConfigPath() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'arcl', 'config.json');
+}
+
+/**
+ * Gets the config file of the nearest .arcl directory: the project's own
+ * if it has one, else the workspace's.
  * 
  * @returns {string}
  */
@@ -42,51 +310,908 @@ export function getConfigPath() {
 }
 
 /**
- * Loads configuration from .arcl/config.json.
- * Returns default config if file doesn't exist.
+ * Lists the config files that apply here, lowest precedence first.
+ * 
+ * @returns {ConfigLayerFile[]}
+ */
+export function getConfigFiles() {
+  const files = [
+    { layer: 'global', path: getGlobalConfigPath() },
+    { layer: 'workspace', path: path.join(getWorkspaceArclDir(), 'config.json') }
+  ];
+  
+  const arclDir = getArclDir();
+  if (path.resolve(arclDir) !== path.resolve(getWorkspaceArclDir())) {
+    files.push({ layer: 'project', path: path.join(arclDir, 'config.json') });
+  }
+  
+  return files.map(f => ({ ...f, exists: fileExists(f.path) }));
+}
+
+/**
+ * Checks for a plain object (not an array or null).
  * 
- * @returns {{success: boolean, config?: Config, error?: string}}
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Counts the single-character edits between two strings (for "did you mean").
+ * 
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Builds the error for a key the schema does not know, suggesting the
+ * closest known one.
+ * 
+ * @param {string} name - Unknown key
+ * @param {string[]} known - Keys allowed in its place
+ * @returns {string}
+ */
+function unknownSettingMessage(name, known) {
+  const closest = known
+    .map(candidate => ({ candidate, distance: editDistance(name.toLowerCase(), candidate) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  
+  const hint = closest && closest.distance <= Math.max(2, Math.floor(name.length / 3))
+    ? ` (did you mean "${closest.candidate}"?)`
+    : '';
+  return `unknown setting${hint}`;
+}
+
+/**
+ * Describes what a schema accepts, for error messages.
+ * 
+ * @param {SettingSchema} schema
+ * @returns {string}
+ */
+export function describeExpected(schema) {
+  if (schema.oneOf) {
+    return schema.oneOf.map(describeExpected).join(' or ');
+  }
+  
+  let text = {
+    boolean: 'true or false',
+    integer: 'an integer',
+    number: 'a number',
+    regex: 'a regular expression',
+    url: 'an http(s) URL',
+    array: 'a list',
+    object: 'an object'
+  }[schema.type] || 'a string';
+  
+  if (schema.enum) {
+    text = `one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`;
+  } else if (schema.min !== undefined && schema.max !== undefined) {
+    text += ` from ${schema.min} to ${schema.max}`;
+  } else if (schema.min !== undefined) {
+    text += ` >= ${schema.min}`;
+  }
+  
+  return schema.nullable ? `${text}, or null` : text;
+}
+
+/**
+ * Checks a value against its schema, collecting every problem.
+ * 
+ * @param {*} value
+ * @param {SettingSchema} schema
+ * @param {string} key - Where the value sits, e.g. file_limits.max_bytes
+ * @param {ConfigError[]} errors - Collected into
+ */
+function checkSetting(value, schema, key, errors) {
+  const mismatch = () => errors.push({ key, message: `expected ${describeExpected(schema)}, got ${JSON.stringify(value)}` });
+  
+  if (value === null) {
+    if (!schema.nullable) mismatch();
+    return;
+  }
+  
+  if (schema.oneOf) {
+    const jsonType = Array.isArray(value) ? 'array' : isPlainObject(value) ? 'object' : typeof value;
+    const match = schema.oneOf.find(s => ({ regex: 'string', url: 'string', integer: 'number' }[s.type] || s.type) === jsonType);
+    if (match) {
+      checkSetting(value, match, key, errors);
+    } else {
+      mismatch();
+    }
+    return;
+  }
+  
+  switch (schema.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') mismatch();
+      return;
+    
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)
+        || (schema.type === 'integer' && !Number.isInteger(value))
+        || (schema.min !== undefined && value < schema.min)
+        || (schema.max !== undefined && value > schema.max)) {
+        mismatch();
+      }
+      return;
+    
+    case 'regex':
+      if (typeof value !== 'string') {
+        mismatch();
+        return;
+      }
+      try {
+        new RegExp(value);
+      } catch (err) {
+        errors.push({ key, message: err.message });
+      }
+      return;
+    
+    case 'url':
+      if (typeof value !== 'string' || !/^https?:\/\/\S+$/.test(value)) mismatch();
+      return;
+    
+    case 'array':
+      if (!Array.isArray(value)) {
+        mismatch();
+        return;
+      }
+      value.forEach((item, i) => checkSetting(item, schema.items, `${key}[${i}]`, errors));
+      return;
+    
+    case 'object':
+      if (!isPlainObject(value)) {
+        mismatch();
+        return;
+      }
+      for (const name of schema.required || []) {
+        if (!(name in value)) {
+          errors.push({ key: key ? `${key}.${name}` : name, message: 'required' });
+        }
+      }
+      for (const [name, child] of Object.entries(value)) {
+        if (schema.values) {
+          checkSetting(child, schema.values, `${key}[${JSON.stringify(name)}]`, errors);
+        } else if (schema.properties[name]) {
+          checkSetting(child, schema.properties[name], key ? `${key}.${name}` : name, errors);
+        } else {
+          errors.push({ key: key ? `${key}.${name}` : name, message: unknownSettingMessage(name, Object.keys(schema.properties)) });
+        }
+      }
+      return;
+    
+    default:
+      if (typeof value !== 'string' || (schema.enum && !schema.enum.includes(value))) mismatch();
+  }
+}
+
+/**
+ * Validates settings against CONFIG_SCHEMA. Only the keys present are
+ * checked, so a layer that sets a single value validates on its own.
+ * 
+ * @param {Object} values - Settings, as in config.json
+ * @returns {{valid: boolean, errors: ConfigError[]}}
+ */
+export function validateConfig(values) {
+  const errors = [];
+  if (!isPlainObject(values)) {
+    errors.push({ key: null, message: 'expected a JSON object with settings' });
+  } else {
+    checkSetting(values, { type: 'object', properties: CONFIG_SCHEMA }, '', errors);
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Gets the schema of a setting by key (dotted for nested settings).
+ * 
+ * @param {string} key
+ * @returns {SettingSchema|null}
+ */
+export function getSettingSchema(key) {
+  const [top, sub, ...rest] = key.split('.');
+  const schema = CONFIG_SCHEMA[top];
+  if (!schema || rest.length > 0) return null;
+  if (sub === undefined) return schema;
+  return schema.properties?.[sub] || null;
+}
+
+/**
+ * Lists every setting that can be addressed by a key: each top-level
+ * setting, and each key inside settings with declared properties.
+ * 
+ * @returns {string[]}
+ */
+export function listSettingKeys() {
+  const keys = [];
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    keys.push(key);
+    for (const sub of Object.keys(schema.properties || {})) {
+      keys.push(`${key}.${sub}`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Parses a string from the environment or a flag by the setting's type:
+ * numbers, booleans (true/false, 1/0, yes/no, on/off), lists (JSON or
+ * comma-separated), objects (JSON), `null` where allowed, else the
+ * string. The result still has to pass validation.
+ * 
+ * @param {string} raw
+ * @param {SettingSchema} schema
+ * @returns {{success: boolean, value?: *, error?: string}}
+ */
+export function parseSettingValue(raw, schema) {
+  const text = raw.trim();
+  
+  if (schema.nullable && text === 'null') {
+    return { success: true, value: null };
+  }
+  
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const value = Number(text);
+    if (text === '' || Number.isNaN(value)) {
+      return { success: false, error: `expected ${describeExpected(schema)}, got "${raw}"` };
+    }
+    return { success: true, value };
+  }
+  
+  if (schema.type === 'boolean') {
+    if (/^(true|1|yes|on)$/i.test(text)) return { success: true, value: true };
+    if (/^(false|0|no|off)$/i.test(text)) return { success: true, value: false };
+    return { success: false, error: `expected true or false, got "${raw}"` };
+  }
+  
+  if (schema.type === 'array' && !text.startsWith('[')) {
+    return { success: true, value: text.split(',').map(v => v.trim()).filter(Boolean) };
+  }
+  
+  if (schema.type === 'array' || schema.type === 'object') {
+    try {
+      return { success: true, value: JSON.parse(text) };
+    } catch (err) {
+      return { success: false, error: `invalid JSON: ${err.message}` };
+    }
+  }
+  
+  return { success: true, value: text };
+}
+
+/**
+ * Gets the environment variable for a setting: ARCL_MAX_DIFF_LINES,
+ * ARCL_FILE_LIMITS__MAX_BYTES.
+ * 
+ * @param {string} key - Setting, dotted for nested keys
+ * @returns {string}
+ */
+export function getEnvName(key) {
+  return ENV_PREFIX + key.split('.').join('__').toUpperCase();
+}
+
+/**
+ * Turns a dotted setting and its value into a layer object.
+ * 
+ * @param {string} key
+ * @param {*} value
+ * @returns {Object}
+ */
+function layerValue(key, value) {
+  const [top, sub] = key.split('.');
+  return sub === undefined ? { [top]: value } : { [top]: { [sub]: value } };
+}
+
+/**
+ * Builds a layer for one setting given as a string (environment or flag).
+ * 
+ * @param {'env'|'flag'} layer
+ * @param {string} origin - Variable or flag
+ * @param {string} key
+ * @param {string} raw
+ * @returns {ConfigLayer}
+ */
+function stringLayer(layer, origin, key, raw) {
+  const parsed = parseSettingValue(raw, getSettingSchema(key));
+  if (!parsed.success) {
+    return { layer, origin, values: null, errors: [{ key, message: parsed.error }] };
+  }
+  
+  const values = layerValue(key, parsed.value);
+  return { layer, origin, values, errors: validateConfig(values).errors };
+}
+
+/**
+ * Reads every config layer that is present - files, ARCL_* variables and
+ * --config flags - lowest precedence first, each validated on its own.
+ * 
+ * @returns {ConfigLayer[]}
+ */
+export function readConfigLayers() {
+  const layers = [];
+  
+  for (const file of getConfigFiles().filter(f => f.exists)) {
+    const readResult = readFileUTF8(file.path);
+    let values = null;
+    let error = readResult.error;
+    
+    if (readResult.success) {
+      try {
+        values = JSON.parse(readResult.content);
+      } catch (err) {
+        error = `invalid JSON: ${err.message}`;
+      }
+    }
+    
+    layers.push({
+      layer: file.layer,
+      origin: file.path,
+      values,
+      errors: values === null ? [{ key: null, message: error }] : validateConfig(values).errors
+    });
+  }
+  
+  for (const key of listSettingKeys()) {
+    const name = getEnvName(key);
+    if (process.env[name] !== undefined) {
+      layers.push(stringLayer('env', name, key, process.env[name]));
+    }
+  }
+  
+  for (const override of cliOverrides) {
+    const origin = `--config ${override}`;
+    const separator = override.indexOf('=');
+    const key = override.slice(0, separator).trim();
+    
+    if (separator <= 0) {
+      layers.push({ layer: 'flag', origin, values: null, errors: [{ key: null, message: 'expected <setting>=<value>' }] });
+    } else if (!getSettingSchema(key)) {
+      layers.push({ layer: 'flag', origin, values: null, errors: [{ key, message: unknownSettingMessage(key, listSettingKeys()) }] });
+    } else {
+      layers.push(stringLayer('flag', origin, key, override.slice(separator + 1)));
+    }
+  }
+  
+  return layers;
+}
+
+/**
+ * Formats a layer's errors, one per line, each naming its setting.
+ * 
+ * @param {ConfigLayer} layer
+ * @returns {string}
+ */
+export function formatLayerErrors(layer) {
+  const lines = layer.errors.map(e => e.key ? `${e.key}: ${e.message}` : e.message);
+  return `Invalid config in ${layer.origin}:\n  ${lines.join('\n  ')}`;
+}
+
+/**
+ * Merges one layer into the config, recording where each value came from.
+ * 
+ * @param {Config} config - Updated in place
+ * @param {Object<string, ConfigSource>} sources - Updated in place
+ * @param {Object} values - The layer's settings
+ * @param {ConfigSource} source
+ */
+function applyLayer(config, sources, values, source) {
+  for (const [key, value] of Object.entries(values)) {
+    if (isPlainObject(DEFAULT_CONFIG[key]) && isPlainObject(value) && isPlainObject(config[key])) {
+      config[key] = { ...config[key], ...value };
+      sources[key] = source;
+      for (const sub of Object.keys(value)) {
+        sources[`${key}.${sub}`] = source;
+      }
+    } else {
+      config[key] = value;
+      sources[key] = source;
+      for (const name of Object.keys(sources)) {
+        if (name.startsWith(`${key}.`)) sources[name] = source;
+      }
+    }
+  }
+}
+
+/**
+ * Resolves the effective configuration from every layer (see the module
+ * header for the order). The first layer that fails validation stops
+ * the load, with errors that name the file or variable and the setting.
+ * 
+ * @returns {{success: boolean, config?: Config, sources?: Object<string, ConfigSource>, files?: ConfigLayerFile[], error?: string, errors?: ConfigError[]}}
  */
 export function loadConfig() {
-  const configPath = getConfigPath();
+  const layers = readConfigLayers();
+  const invalid = layers.find(l => l.errors.length > 0);
+  if (invalid) {
+    return { success: false, error: formatLayerErrors(invalid), errors: invalid.errors };
+  }
   
-  if (!fileExists(configPath)) {
-    return { success: true, config: { ...DEFAULT_CONFIG } };
+  const config = structuredClone(DEFAULT_CONFIG);
+  const sources = {};
+  applyLayer(config, sources, DEFAULT_CONFIG, { layer: 'default', origin: null });
+  for (const layer of layers) {
+    applyLayer(config, sources, layer.values, { layer: layer.layer, origin: layer.origin });
   }
   
-  const readResult = readFileUTF8(configPath);
-  if (!readResult.success) {
-    return { success: false, error: readResult.error };
+  return { success: true, config, sources, files: getConfigFiles() };
+}
+
+/**
+ * Creates a config file, if it doesn't exist. A workspace or project
+ * file starts empty: every key in it would override the layers below
+ * (see readConfigLayers), so only the global file gets the defaults.
+ * 
+ * @param {string} [configPath] - Defaults to the nearest .arcl config (see getConfigPath)
+ * @param {Object} [options]
+ * @param {boolean} [options.defaults=false] - Write every default instead of {}
+ * @returns {{success: boolean, path?: string, created?: boolean, error?: string}}
+ */
+export function initConfig(configPath, options = {}) {
+  const { defaults = false } = options;
+  
+  if (!configPath) {
+    const dirResult = ensureArclDir();
+    if (!dirResult.success) {
+      return { success: false, error: dirResult.error };
+    }
+    configPath = getConfigPath();
   }
   
+  if (fileExists(configPath)) {
+    return { success: true, path: configPath, created: false }; // Already exists
+  }
+  
+  const content = defaults ? JSON.stringify(DEFAULT_CONFIG, null, 2) : '{}';
+  const writeResult = writeFileUTF8(configPath, content + '\n');
+  if (!writeResult.success) {
+    return { success: false, error: writeResult.error };
+  }
+  return { success: true, path: configPath, created: true };
+}
+
+/**
+ * Gets a setting from settings by key (dotted for nested settings).
+ * 
+ * @param {Object} values - A config or a layer's settings
+ * @param {string} key
+ * @returns {*} undefined if not set
+ */
+export function getSettingValue(values, key) {
+  const [top, sub] = key.split('.');
+  if (sub === undefined) return values[top];
+  return isPlainObject(values[top]) ? values[top][sub] : undefined;
+}
+
+/**
+ * Checks that a key names a setting.
+ * 
+ * @param {string} key
+ * @returns {string|null} Error naming the key, or null if it is known
+ */
+export function checkSettingKey(key) {
+  return getSettingSchema(key) ? null : `${key}: ${unknownSettingMessage(key, listSettingKeys())}`;
+}
+
+/**
+ * Skips whitespace in JSON text.
+ * 
+ * @param {string} text
+ * @param {number} i
+ * @returns {number} Index of the next non-whitespace character
+ */
+function skipJSONWhitespace(text, i) {
+  while (i < text.length && /\s/.test(text[i])) i++;
+  return i;
+}
+
+/**
+ * Finds where the JSON value starting at an index ends. The text must
+ * be valid JSON.
+ * 
+ * @param {string} text
+ * @param {number} i - Index of the value's first character
+ * @returns {number} Index just past the value
+ */
+function skipJSONValue(text, i) {
+  if (text[i] === '"') {
+    for (i++; text[i] !== '"'; i++) {
+      if (text[i] === '\\') i++;
+    }
+    return i + 1;
+  }
+  
+  if (text[i] === '{' || text[i] === '[') {
+    let depth = 0;
+    for (; i < text.length; i++) {
+      if (text[i] === '"') {
+        i = skipJSONValue(text, i) - 1;
+      } else if (text[i] === '{' || text[i] === '[') {
+        depth++;
+      } else if ((text[i] === '}' || text[i] === ']') && --depth === 0) {
+        return i + 1;
+      }
+    }
+    return i;
+  }
+  
+  while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+  return i;
+}
+
+/**
+ * Lists the members of a JSON object with where their keys and values
+ * are in the text.
+ * 
+ * @param {string} text
+ * @param {number} start - Index of the object's "{"
+ * @returns {{start: number, end: number, members: Array<{name: string, keyStart: number, valueStart: number, valueEnd: number}>}}
+ *   end is the index of the closing "}"
+ */
+function listJSONMembers(text, start) {
+  const members = [];
+  let i = skipJSONWhitespace(text, start + 1);
+  
+  while (text[i] === '"') {
+    const keyStart = i;
+    const keyEnd = skipJSONValue(text, i);
+    const valueStart = skipJSONWhitespace(text, skipJSONWhitespace(text, keyEnd) + 1);
+    const valueEnd = skipJSONValue(text, valueStart);
+    members.push({ name: JSON.parse(text.slice(keyStart, keyEnd)), keyStart, valueStart, valueEnd });
+    
+    i = skipJSONWhitespace(text, valueEnd);
+    if (text[i] === ',') i = skipJSONWhitespace(text, i + 1);
+  }
+  
+  return { start, end: i, members };
+}
+
+/**
+ * Gets the indentation of the line a position is on.
+ * 
+ * @param {string} text
+ * @param {number} i
+ * @returns {string}
+ */
+function lineIndent(text, i) {
+  return text.slice(text.lastIndexOf('\n', i - 1) + 1).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Writes a value as JSON on one line, spaced like hand-written config:
+ * ["a", "b"], { "max_bytes": 1000 }.
+ * 
+ * @param {*} value
+ * @returns {string}
+ */
+function inlineJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(inlineJSON).join(', ')}]`;
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${inlineJSON(v)}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Sets or removes one setting by splicing the text of its value, so the
+ * rest of the file - spacing, blank lines, inline arrays - is untouched.
+ * A value that spanned several lines is written over several lines
+ * again; one that fit on a line stays on one.
+ * 
+ * @param {string} content - Valid JSON holding an object
+ * @param {string} key - Setting, dotted for nested keys
+ * @param {*} value - New value; undefined removes the setting
+ * @returns {string|null} New content, or null if the text cannot be spliced (rewrite instead)
+ */
+function spliceConfigText(content, key, value) {
+  const [top, sub] = key.split('.');
+  const root = listJSONMembers(content, skipJSONWhitespace(content, 0));
+  let object = root;
+  let name = top;
+  
+  if (sub !== undefined) {
+    const parent = root.members.findLast(m => m.name === top);
+    if (parent && content[parent.valueStart] === '{') {
+      object = listJSONMembers(content, parent.valueStart);
+      name = sub;
+      // Removing the last nested key removes the object with it
+      if (value === undefined && object.members.length === 1 && object.members[0].name === sub) {
+        object = root;
+        name = top;
+      }
+    } else if (parent) {
+      return null;
+    } else {
+      value = { [sub]: value };
+    }
+  }
+  
+  const { members } = object;
+  const member = members.findLast(m => m.name === name);
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  
+  if (value === undefined) {
+    const index = members.indexOf(member);
+    const [from, to] = members.length === 1 ? [object.start + 1, object.end]
+      : index < members.length - 1 ? [member.keyStart, members[index + 1].keyStart]
+      : [members[index - 1].valueEnd, member.valueEnd];
+    return content.slice(0, from) + content.slice(to);
+  }
+  
+  if (member) {
+    const indent = lineIndent(content, member.keyStart);
+    const unit = content.match(/^([ \t]+)"/m)?.[1] || '  ';
+    const multiline = content.slice(member.valueStart, member.valueEnd).includes('\n') && value !== null && typeof value === 'object';
+    const text = multiline ? JSON.stringify(value, null, unit).split('\n').join(eol + indent) : inlineJSON(value);
+    return content.slice(0, member.valueStart) + text + content.slice(member.valueEnd);
+  }
+  
+  if (members.length === 0) {
+    return null;
+  }
+  
+  // After the last member, on a line of its own if the members are
+  const last = members[members.length - 1];
+  const separator = content.slice(object.start, members[0].keyStart).includes('\n')
+    ? eol + lineIndent(content, last.keyStart)
+    : ' ';
+  return content.slice(0, last.valueEnd) + `,${separator}${JSON.stringify(name)}: ${inlineJSON(value)}` + content.slice(last.valueEnd);
+}
+
+/**
+ * Sets or removes one setting in a config file, editing only the text
+ * of that value (see spliceConfigText); io.js keeps the file's line
+ * endings and BOM. Only a setting the file's text cannot take in place
+ * (an empty object, say) rewrites the file, in its own indentation and
+ * final newline. A missing file is created.
+ * 
+ * @param {string} filePath
+ * @param {string} key - Setting, dotted for nested keys
+ * @param {*} value - New value; undefined removes the setting
+ * @returns {{success: boolean, changed?: boolean, error?: string}}
+ */
+function editConfigFile(filePath, key, value) {
+  let content = '{}\n';
+  if (fileExists(filePath)) {
+    const readResult = readFileUTF8(filePath);
+    if (!readResult.success) {
+      return { success: false, error: readResult.error };
+    }
+    content = readResult.content;
+  }
+  
+  let values;
   try {
-    const userConfig = JSON.parse(readResult.content);
-    // Merge with defaults
-    const config = { ...DEFAULT_CONFIG, ...userConfig };
-    return { success: true, config };
+    values = JSON.parse(content);
   } catch (err) {
-    return { success: false, error: `Invalid config file: ${err.message}` };
+    return { success: false, error: `Invalid JSON in ${filePath}: ${err.message}` };
+  }
+  if (!isPlainObject(values)) {
+    return { success: false, error: `${filePath} must hold a JSON object` };
+  }
+  
+  const [top, sub] = key.split('.');
+  const current = getSettingValue(values, key);
+  const present = sub === undefined ? top in values : isPlainObject(values[top]) && sub in values[top];
+  if (value === undefined ? !present : present && JSON.stringify(current) === JSON.stringify(value)) {
+    return { success: true, changed: false };
   }
+  
+  let updated = spliceConfigText(content, key, value);
+  if (updated === null) {
+    if (sub === undefined) {
+      if (value === undefined) delete values[top];
+      else values[top] = value;
+    } else {
+      if (!isPlainObject(values[top])) values[top] = {};
+      if (value === undefined) delete values[top][sub];
+      else values[top][sub] = value;
+      if (Object.keys(values[top]).length === 0) delete values[top];
+    }
+    const indent = content.match(/^([ \t]+)"/m)?.[1] || '  ';
+    const newline = /\r?\n\s*$/.test(content) ? '\n' : '';
+    updated = JSON.stringify(values, null, indent) + newline;
+  }
+  
+  const writeResult = writeFileUTF8(filePath, updated);
+  if (!writeResult.success) {
+    return { success: false, error: writeResult.error };
+  }
+  return { success: true, changed: true };
 }
 
 /**
- * Creates default config file if it doesn't exist.
+ * Sets one setting in a config file. The value is parsed like an
+ * environment variable and validated; the rest of the file is kept as is.
  * 
- * @returns {{success: boolean, error?: string}}
+ * @param {string} filePath
+ * @param {string} key - Setting, dotted for nested keys
+ * @param {string} raw - Value as typed
+ * @returns {{success: boolean, value?: *, changed?: boolean, error?: string}}
  */
-export function initConfig() {
-  const dirResult = ensureArclDir();
-  if (!dirResult.success) {
-    return { success: false, error: dirResult.error };
+export function setConfigValue(filePath, key, raw) {
+  const keyError = checkSettingKey(key);
+  if (keyError) {
+    return { success: false, error: keyError };
   }
   
-  const configPath = getConfigPath();
-  if (fileExists(configPath)) {
-    return { success: true }; // Already exists
+  const parsed = parseSettingValue(raw, getSettingSchema(key));
+  if (!parsed.success) {
+    return { success: false, error: `${key}: ${parsed.error}` };
+  }
+  
+  const { errors } = validateConfig(layerValue(key, parsed.value));
+  if (errors.length > 0) {
+    return { success: false, error: errors.map(e => `${e.key}: ${e.message}`).join('\n') };
+  }
+  
+  const result = editConfigFile(filePath, key, parsed.value);
+  return result.success ? { ...result, value: parsed.value } : result;
+}
+
+/**
+ * Removes one setting from a config file, so lower layers apply again.
+ * Unknown keys can be removed too (to clean up a typo); a nested object
+ * left empty is removed with it.
+ * 
+ * @param {string} filePath
+ * @param {string} key - Setting, dotted for nested keys
+ * @returns {{success: boolean, changed?: boolean, error?: string}}
+ */
+export function unsetConfigValue(filePath, key) {
+  if (!fileExists(filePath)) {
+    return { success: true, changed: false };
+  }
+  
+  return editConfigFile(filePath, key, undefined);
+}
+
+/**
+ * Rejects a diff whose added lines carry secrets (see secrets.js).
+ * Also run on new-file diffs, which skip the other policies.
+ * 
+ * @param {string} diff - The diff to check
+ * @param {Config} config - The configuration
+ * @param {string} [filePath] - File the diff lands in (defaults to the diff header path)
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function checkDiffSecrets(diff, config, filePath) {
+  if (!diff || !config.secret_scanning) {
+    return { valid: true };
+  }
+  
+  const added = findAddedSecrets(diff, buildSecretRules(config.secret_patterns), filePath);
+  if (added.length === 0) {
+    return { valid: true };
+  }
+  
+  const rules = [...new Set(added.map(m => m.rule))].join(', ');
+  return {
+    valid: false,
+    error: `Policy violation: diff adds ${added.length} secret(s) (${rules}), first at diff line ${added[0].line}. Keep credentials out of code, or set secret_scanning: false.`
+  };
+}
+
+/**
+ * Checks whether a forbid_patterns entry applies to a file: its path
+ * globs (relative to the project root) and languages, when given.
+ * 
+ * @param {ForbidPattern} rule
+ * @param {string|null} filePath - Absolute path, or the path from the diff header
+ * @returns {boolean}
+ */
+function forbidRuleApplies(rule, filePath) {
+  if (!rule.paths && !rule.languages) return true;
+  if (!filePath) return false;
+  
+  if (rule.paths && !rule.paths.some(pattern => matchesGlob(projectRelative(path.resolve(filePath)), pattern))) {
+    return false;
+  }
+  
+  const extension = path.extname(filePath).toLowerCase();
+  return !rule.languages || rule.languages.some(language => (LANGUAGE_EXTENSIONS[language] || []).includes(extension));
+}
+
+/**
+ * Numbers every line of a parsed diff's hunks: added and context lines
+ * by their line in the new file, removed lines by their line in the old.
+ * 
+ * @param {Object} parsed - ParsedDiff from applyDiff.js parseDiff
+ * @returns {Array<{type: 'add'|'remove'|'context', line: number, text: string}>}
+ */
+function numberedDiffLines(parsed) {
+  const lines = [];
+  for (const hunk of parsed.hunks) {
+    let oldLine = hunk.oldStart;
+    let newLine = hunk.newStart;
+    for (const change of hunk.changes) {
+      lines.push({ ...change, line: change.type === 'remove' ? oldLine : newLine });
+      if (change.type !== 'add') oldLine++;
+      if (change.type !== 'remove') newLine++;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Classifies the lines of a diff that does not parse, numbered by their
+ * line in the diff itself. Header lines are left out.
+ * 
+ * @param {string} diff
+ * @returns {Array<{type: 'add'|'remove'|'context', line: number, text: string}>}
+ */
+function rawDiffLines(diff) {
+  const types = { '+': 'add', '-': 'remove', ' ': 'context' };
+  const lines = [];
+  diff.split('\n').forEach((text, i) => {
+    if (types[text[0]] && !/^(?:\+\+\+|---) /.test(text)) {
+      lines.push({ type: types[text[0]], line: i + 1, text: text.slice(1) });
+    }
+  });
+  return lines;
+}
+
+/**
+ * Checks a diff against forbid_patterns. By default only the lines it
+ * adds are checked, so removing a forbidden call or keeping it as
+ * context is fine. A diff that does not parse (or has no hunks) is still
+ * checked, line by line of its raw text.
+ * 
+ * @param {string} diff - Single-file unified diff
+ * @param {Config} config - The configuration
+ * @param {string} [filePath] - File the diff lands in (defaults to the diff header path)
+ * @returns {{valid: boolean, error?: string}}
+ */
+function checkForbiddenPatterns(diff, config, filePath) {
+  const rules = (config.forbid_patterns || []).map(rule => typeof rule === 'string' ? { pattern: rule } : rule);
+  if (rules.length === 0) {
+    return { valid: true };
+  }
+  
+  const parsed = parseDiff(diff);
+  const numbered = parsed.success && parsed.diff.hunks.length > 0;
+  const target = filePath || (parsed.success ? parsed.diff.newPath || parsed.diff.oldPath : null);
+  const label = target ? projectRelative(path.resolve(target)).split(path.sep).join('/') : 'diff';
+  const lines = numbered ? numberedDiffLines(parsed.diff) : rawDiffLines(diff);
+  
+  for (const rule of rules) {
+    if (!forbidRuleApplies(rule, target)) continue;
+    
+    // Patterns were checked when the config loaded (see CONFIG_SCHEMA)
+    const regex = new RegExp(rule.pattern, 'i');
+    const hit = lines.find(l => (rule.lines === 'all' || l.type === 'add') && regex.test(l.text));
+    if (hit) {
+      const what = { add: 'added', remove: 'removed', context: 'context' }[hit.type];
+      const text = hit.text.trim().length > 80 ? `${hit.text.trim().slice(0, 77)}...` : hit.text.trim();
+      return {
+        valid: false,
+        error: `Policy violation: forbidden pattern '${rule.pattern}' at ${numbered ? `${label}:${hit.line}` : `${label}, diff line ${hit.line}`} (${what} line): ${text}${rule.message ? ` - ${rule.message}` : ''}`
+      };
+    }
   }
   
-  const content = JSON.stringify(DEFAULT_CONFIG, null, 2);
-  return writeFileUTF8(configPath, content);
+  return { valid: true };
 }
 
 /**
@@ -94,29 +1219,24 @@ export function initConfig() {
  * 
  * @param {string} diff - The diff to validate
  * @param {Config} config - The configuration
+ * @param {string} [filePath] - File the diff lands in, for path- and language-scoped forbid_patterns
  * @returns {{valid: boolean, error?: string}}
  */
-export function validateAgainstPolicy(diff, config) {
+export function validateAgainstPolicy(diff, config, filePath) {
   if (!diff) {
     return { valid: true };
   }
   
   // Check forbidden patterns
-  if (config.forbid_patterns && config.forbid_patterns.length > 0) {
-    for (const pattern of config.forbid_patterns) {
-      try {
-        const regex = new RegExp(pattern, 'i');
-        if (regex.test(diff)) {
-          return { 
-            valid: false, 
-            error: `Policy violation: diff contains forbidden pattern '${pattern}'`
-          };
-        }
-      } catch (e) {
-        // Invalid regex, skip
-        console.error(`Warning: Invalid forbid_pattern: ${pattern}`);
-      }
-    }
+  const patternCheck = checkForbiddenPatterns(diff, config, filePath);
+  if (!patternCheck.valid) {
+    return patternCheck;
+  }
+  
+  // Check for secrets the diff adds
+  const secretCheck = checkDiffSecrets(diff, config, filePath);
+  if (!secretCheck.valid) {
+    return secretCheck;
   }
   
   // Check max diff lines
@@ -151,6 +1271,281 @@ export function validateAgainstPolicy(diff, config) {
   return { valid: true };
 }
 
+/**
+ * @typedef {Object} PolicyModule
+ * @property {string} name - File name without .js
+ * @property {string} path - Absolute path of the module
+ * @property {function(PolicyContext): (PolicyVerdict|string|Promise<PolicyVerdict|string>)} check
+ */
+
+/**
+ * @typedef {Object} PolicyContext
+ * @property {string} command - add, edit or change
+ * @property {string} filePath - Absolute path the diff applies to
+ * @property {string} path - Same path relative to its project root, forward slashes
+ * @property {Object} diff - Parsed diff (see applyDiff.js parseDiff): kind, hunks, added, removed
+ * @property {string} rawDiff - The unified diff as text
+ * @property {Config} config - Effective configuration
+ */
+
+/**
+ * @typedef {Object} PolicyVerdict
+ * @property {'pass'|'warn'|'fail'} status
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} PolicyResult
+ * @property {string} policy - Module name
+ * @property {string} file - Absolute path checked
+ * @property {'pass'|'warn'|'fail'} status
+ * @property {string} [message]
+ */
+
+/** Statuses a policy module may return */
+const POLICY_STATUSES = ['pass', 'warn', 'fail'];
+
+/**
+ * Lists the policy directories that apply here: the workspace's, then
+ * the project's own if it has one.
+ * 
+ * @returns {string[]}
+ */
+export function getPolicyDirs() {
+  const dirs = [path.join(getWorkspaceArclDir(), 'policies')];
+  const arclDir = getArclDir();
+  if (path.resolve(arclDir) !== path.resolve(getWorkspaceArclDir())) {
+    dirs.push(path.join(arclDir, 'policies'));
+  }
+  return dirs;
+}
+
+/**
+ * Imports every .arcl/policies/*.js module, in name order. A project
+ * module replaces a workspace module with the same name. Each module
+ * exports its check as the default export or as `check`.
+ * 
+ * @returns {Promise<{success: boolean, policies?: PolicyModule[], error?: string}>}
+ */
+export async function loadPolicyModules() {
+  const byName = new Map();
+  
+  for (const dir of getPolicyDirs()) {
+    let names;
+    try {
+      names = fs.readdirSync(dir).filter(name => name.endsWith('.js')).sort();
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      return { success: false, error: `Cannot read ${dir}: ${err.message}` };
+    }
+    
+    for (const name of names) {
+      const modulePath = path.join(dir, name);
+      let mod;
+      try {
+        mod = await import(pathToFileURL(modulePath).href);
+      } catch (err) {
+        return { success: false, error: `Cannot load policy ${modulePath}: ${err.message}` };
+      }
+      
+      const check = typeof mod.default === 'function' ? mod.default : mod.check;
+      if (typeof check !== 'function') {
+        return { success: false, error: `Policy ${modulePath} must export a check function (default or named "check")` };
+      }
+      byName.set(path.basename(name, '.js'), { name: path.basename(name, '.js'), path: modulePath, check });
+    }
+  }
+  
+  return { success: true, policies: [...byName.values()] };
+}
+
+/**
+ * Turns what a check returned into a verdict. Anything unexpected fails,
+ * so a broken policy never lets a diff through silently.
+ * 
+ * @param {*} returned
+ * @returns {PolicyVerdict}
+ */
+function toVerdict(returned) {
+  const verdict = typeof returned === 'string' ? { status: returned } : returned;
+  if (!verdict || !POLICY_STATUSES.includes(verdict.status)) {
+    return { status: 'fail', message: `returned ${JSON.stringify(returned)}; expected {status: "pass" | "warn" | "fail", message}` };
+  }
+  return verdict.message ? { status: verdict.status, message: String(verdict.message) } : { status: verdict.status };
+}
+
+/**
+ * Runs every policy module over the diffs of one command.
+ * 
+ * @param {PolicyModule[]} policies - From loadPolicyModules
+ * @param {string} command - add, edit or change
+ * @param {Array<{filePath: string, diff: string}>} diffs - One per file
+ * @param {Config} config - Effective configuration
+ * @returns {Promise<{passed: boolean, results: PolicyResult[]}>} passed is false if any check failed
+ */
+export async function runPolicyModules(policies, command, diffs, config) {
+  const results = [];
+  
+  for (const { filePath, diff } of diffs) {
+    const parsed = parseDiff(diff);
+    if (!parsed.success) continue; // Format errors are reported by validateDiffFormat
+    
+    const context = {
+      command,
+      filePath,
+      path: projectRelative(filePath).split(path.sep).join('/'),
+      diff: parsed.diff,
+      rawDiff: diff,
+      config
+    };
+    
+    for (const policy of policies) {
+      let verdict;
+      try {
+        verdict = toVerdict(await policy.check(context));
+      } catch (err) {
+        verdict = { status: 'fail', message: `threw: ${err.message}` };
+      }
+      results.push({ policy: policy.name, file: filePath, ...verdict });
+    }
+  }
+  
+  return { passed: !results.some(r => r.status === 'fail'), results };
+}
+
+/**
+ * Maps configuration to applyPatch options.
+ * 
+ * @param {Config} config - The configuration
+ * @returns {{fuzz: number, fuzzy: boolean, minConfidence: number}}
+ */
+export function getPatchOptions(config) {
+  return {
+    fuzz: config.patch_fuzz,
+    fuzzy: config.fuzzy_patching,
+    minConfidence: config.fuzzy_min_confidence
+  };
+}
+
+/**
+ * Gets a path relative to the root of the project it is in (or to cwd
+ * outside the workspace's projects).
+ * 
+ * @param {string} absolutePath
+ * @returns {string}
+ */
+function projectRelative(absolutePath) {
+  const parts = path.relative(getDefaultWorkspaceRoot(), absolutePath).split(path.sep);
+  if (parts.length > 1 && parts[0] !== '..' && !path.isAbsolute(parts[0])) {
+    return parts.slice(1).join('/');
+  }
+  return path.relative(getCurrentProject().projectPath || process.cwd(), absolutePath);
+}
+
+/**
+ * Builds the io.js format policy: file_format, then every matching
+ * file_format_overrides glob in order (later globs win). Globs are
+ * matched against the path relative to the project root.
+ * 
+ * @param {Config} config - The configuration
+ * @returns {function(string): Object} Resolver for io.setFormatPolicy
+ */
+export function getFormatPolicy(config) {
+  const base = { ...DEFAULT_CONFIG.file_format, ...config.file_format };
+  const overrides = Object.entries(config.file_format_overrides || {});
+  
+  return (absolutePath) => {
+    const relativePath = projectRelative(absolutePath);
+    
+    let policy = base;
+    for (const [pattern, override] of overrides) {
+      if (matchesGlob(relativePath, pattern)) {
+        policy = { ...policy, ...override };
+      }
+    }
+    return policy;
+  };
+}
+
+/**
+ * Builds the io.js file limits policy: file_limits for every file, plus
+ * force_text for files matching a force_text_paths glob.
+ * 
+ * @param {Config} config - The configuration
+ * @returns {function(string): Object} Resolver for io.setLimitsPolicy
+ */
+export function getLimitsPolicy(config) {
+  const limits = { ...DEFAULT_CONFIG.file_limits, ...config.file_limits };
+  const forceText = config.force_text_paths || [];
+  
+  return (absolutePath) => {
+    const relativePath = projectRelative(absolutePath);
+    return { ...limits, force_text: forceText.some(pattern => matchesGlob(relativePath, pattern)) };
+  };
+}
+
+/**
+ * Builds the workspace.js path policy from protected_paths and
+ * editable_paths. Globs are matched against the path relative to its
+ * project root; a protected match always blocks.
+ * 
+ * @param {Config} config - The configuration
+ * @returns {function(string): {allowed: boolean, reason?: string}} Resolver for workspace.setPathPolicy
+ */
+export function getPathPolicy(config) {
+  const protectedPaths = config.protected_paths || [];
+  const editablePaths = config.editable_paths || [];
+  
+  return (absolutePath) => {
+    const relativePath = projectRelative(absolutePath).split(path.sep).join('/');
+    
+    const protectedMatch = protectedPaths.find(pattern => matchesGlob(relativePath, pattern));
+    if (protectedMatch) {
+      return {
+        allowed: false,
+        reason: `${relativePath} is protected (protected_paths "${protectedMatch}"; see arcl config explain protected_paths)`
+      };
+    }
+    
+    if (editablePaths.length > 0 && !editablePaths.some(pattern => matchesGlob(relativePath, pattern))) {
+      return {
+        allowed: false,
+        reason: `${relativePath} is outside editable_paths (${editablePaths.map(p => `"${p}"`).join(', ')}; see arcl config explain editable_paths)`
+      };
+    }
+    
+    return { allowed: true };
+  };
+}
+
+/**
+ * Picks the secrets.js policy for setSecretPolicy.
+ * 
+ * @param {Config} config - The configuration
+ * @returns {{enabled: boolean, patterns: Object<string, string>}}
+ */
+export function getSecretPolicy(config) {
+  return {
+    enabled: config.secret_scanning,
+    patterns: config.secret_patterns || {}
+  };
+}
+
+/**
+ * Picks the provider settings for providers/index.js setProviderSettings.
+ * 
+ * @param {Config} config - The configuration
+ * @returns {{provider: string, model: string|null, local_url: string|null, local_model: string|null}}
+ */
+export function getProviderSettings(config) {
+  return {
+    provider: config.provider,
+    model: config.model,
+    local_url: config.local_url,
+    local_model: config.local_model
+  };
+}
+
 /**
  * Gets the current configuration (for display).
  * 
@@ -162,10 +1557,37 @@ export function getConfig() {
 }
 
 export default {
+  setConfigOverrides,
+  getGlobalConfigPath,
   getConfigPath,
+  getConfigFiles,
+  getEnvName,
+  validateConfig,
+  getSettingSchema,
+  listSettingKeys,
+  parseSettingValue,
+  readConfigLayers,
+  formatLayerErrors,
   loadConfig,
   initConfig,
+  getSettingValue,
+  checkSettingKey,
+  setConfigValue,
+  unsetConfigValue,
+  describeExpected,
+  checkDiffSecrets,
   validateAgainstPolicy,
+  getPolicyDirs,
+  loadPolicyModules,
+  runPolicyModules,
+  getPatchOptions,
+  getFormatPolicy,
+  getLimitsPolicy,
+  getPathPolicy,
+  getSecretPolicy,
+  getProviderSettings,
   getConfig,
-  DEFAULT_CONFIG
+  DEFAULT_CONFIG,
+  CONFIG_SCHEMA,
+  LANGUAGE_EXTENSIONS
 };
@@ -2,33 +2,191 @@
  * Change History Module
  * 
  * Tracks all arcl operations for traceability and debugging.
- * History is append-only, stored in .arcl/history.json
+ * History is append-only, stored in .arcl/history.jsonl: one JSON entry
+ * per line. Writers append under .arcl/history.lock, so concurrent arcl
+ * processes never lose each other's entries; readers stream the file and
+ * take no lock. A history.json array from older versions is converted
+ * once, on first access, and kept as history.json.migrated.
+ * 
+ * Entries are hash-chained: each carries `prev`, the hash of the entry
+ * before it, and `hash`, the SHA-256 of its own canonical JSON (prev
+ * included). Editing, removing, inserting or reordering an entry breaks
+ * the chain; verifyHistory finds the first broken link. Removing entries
+ * from the end can only be caught against a chain head kept elsewhere.
+ * The first chained append records in .arcl/history.chain.json how many
+ * entries came before chaining; only those may lack a hash, so stripping
+ * hashes from later entries does not pass as legacy history.
+ * 
+ * Per-file lookups go through .arcl/history.index.json, which maps each
+ * file (project name + path inside the project) to the byte offsets of
+ * its entries, and records renames made through arcl so a file's history
+ * includes what happened under its old name. The index is a cache:
+ * appends leave it alone, a lookup adds the entries appended since and
+ * saves it back, and it is rebuilt whenever it does not match the log.
  */
 
+import fs from 'fs';
 import path from 'path';
-import { readFileUTF8, writeFileUTF8, ensureDir, fileExists } from './io.js';
-import { getDefaultWorkspaceRoot } from './workspace.js';
+import crypto from 'crypto';
+import { log } from './logger.js';
+import { readFileUTF8, writeFileUTF8, appendFileUTF8, readLinesUTF8, readLinesAtUTF8, readLinesBackwardUTF8, withFileLock, ensureDir, fileExists, DEFAULT_FORMAT } from './io.js';
+import { getDefaultWorkspaceRoot, matchesGlob } from './workspace.js';
+
+/**
+ * @typedef {Object} FileChange
+ * @property {string} file - Absolute path
+ * @property {string|null} before - Hash of the content before; a restore point in .arcl/backups (null = did not exist)
+ * @property {string|null} after - Hash of the content arcl left (null = deleted)
+ */
 
 /**
  * @typedef {Object} HistoryEntry
+ * @property {string} [id] - Entry identifier, used by undo and rollback (absent in old entries)
  * @property {string} timestamp - ISO 8601 timestamp
- * @property {string} command - Command type (add, edit, remove, create, ask)
+ * @property {string} command - Command type (add, edit, remove, change, create, ask, undo, rollback)
  * @property {string[]} files - Files affected
  * @property {string} instruction - User instruction or question
  * @property {string} provider - LLM provider used
- * @property {string} result - success | rejected | failed | dry-run
+ * @property {string|null} [model] - Model that answered
+ * @property {{input_tokens: number, output_tokens: number}|null} [usage] - Tokens spent, retries included
+ * @property {string} result - success | partial | rejected | failed | dry-run
  * @property {string} [error] - Error message if failed
+ * @property {Array<{file: string, hunk: string, reason: string}>} [rejectedHunks] - Hunks left out (partial only)
+ * @property {string[]} [rejectFiles] - .rej files written (partial only)
+ * @property {FileChange[]} [changes] - Files this command changed, for undo
+ * @property {string} [diff] - Unified diff of what was applied, rebuilt from the before/after content
+ * @property {string[]} [reverts] - Entry ids undone (undo and rollback only)
+ * @property {Array<{from: string, to: string}>} [renames] - Files moved, absolute paths
+ * @property {Array<{policy: string, file: string, status: string, message?: string}>} [policies] - Results of .arcl/policies modules
+ * @property {string|null} prev - Hash of the previous entry (null for the first)
+ * @property {string} hash - SHA-256 of this entry's canonical JSON, hash field excluded
+ */
+
+/**
+ * @typedef {Object} HistoryFilter
+ * @property {string[]} [command] - Keep entries with one of these commands
+ * @property {string[]} [result] - ... one of these results
+ * @property {string[]} [provider] - ... one of these providers
+ * @property {string} [file] - ... touching a file matching this glob (workspace-relative)
+ * @property {Date} [since] - ... at or after this time
+ * @property {Date} [until] - ... before this time
+ */
+
+/**
+ * @typedef {Object} HistoryIndex
+ * @property {number} version - INDEX_VERSION
+ * @property {number} size - Bytes of history.jsonl indexed
+ * @property {{offset: number, hash: string}|null} last - Newest indexed entry, to detect a rewritten log
+ * @property {Object<string, number[]>} files - Offsets of the entries naming each file, by file key
+ * @property {Array<{from: string, to: string, offset: number}>} renames - Renames by file key, oldest first
+ */
+
+/**
+ * @typedef {Object} ChainVerification
+ * @property {boolean} success - The history could be read
+ * @property {boolean} [valid] - Every link checked out
+ * @property {number} [entries] - Entries checked
+ * @property {number} [legacy] - Entries written before chaining (not protected)
+ * @property {number[]} [unreadable] - Line numbers skipped as invalid JSON
+ * @property {string|null} [head] - Hash of the newest entry
+ * @property {{line: number|null, id: string|null, reason: string}} [broken] - First broken link
+ * @property {string} [error] - Read error
+ */
+
+/** Name of arcl's state directory */
+const ARCL_DIR_NAME = '.arcl';
+
+/**
+ * Finds the nearest .arcl directory, from a directory upward. Inside the
+ * workspace the search ends at the workspace root.
+ * 
+ * @param {string} [startDir] - Defaults to the current directory
+ * @returns {string|null} Absolute path, or null if there is none
+ */
+export function findArclDir(startDir = process.cwd()) {
+  const workspaceRoot = path.resolve(getDefaultWorkspaceRoot());
+  let dir = path.resolve(startDir);
+  
+  while (true) {
+    const candidate = path.join(dir, ARCL_DIR_NAME);
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) {
+      return candidate;
+    }
+    
+    const parent = path.dirname(dir);
+    if (dir === workspaceRoot || parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Gets the workspace-level .arcl directory, shared by projects that have
+ * none of their own.
+ * 
+ * @returns {string}
+ */
+export function getWorkspaceArclDir() {
+  return path.join(getDefaultWorkspaceRoot(), ARCL_DIR_NAME);
+}
+
+/** @type {string|null} Directory getArclDir searches from; null = the current directory */
+let contextDir = null;
+
+/**
+ * Makes getArclDir resolve from the file a command targets instead of
+ * the current directory, so a project's state is the same wherever arcl
+ * is run from.
+ * 
+ * @param {string|null} targetPath - File or directory; null restores the current directory
  */
+export function setArclContext(targetPath) {
+  if (!targetPath) {
+    contextDir = null;
+    return;
+  }
+  
+  const absolutePath = path.resolve(targetPath);
+  const isDir = fs.existsSync(absolutePath) && fs.statSync(absolutePath).isDirectory();
+  contextDir = isDir ? absolutePath : path.dirname(absolutePath);
+}
 
 /**
- * Gets the .arcl directory path for the current context.
- * Uses workspace root for project-level history.
+ * Gets the .arcl directory path for the current context: the nearest
+ * one from the target (see setArclContext) or the current directory up
+ * (a project's own, see initArclDir), else the workspace-level one.
  * 
  * @returns {string}
  */
 export function getArclDir() {
+  return findArclDir(contextDir || process.cwd()) || getWorkspaceArclDir();
+}
+
+/**
+ * Lists every .arcl directory arcl may have written to: the workspace's,
+ * each project's own (directly under the workspace root), and the one
+ * for the current context if it is elsewhere.
+ * 
+ * @returns {string[]} Existing directories
+ */
+export function listArclDirs() {
   const workspaceRoot = getDefaultWorkspaceRoot();
-  return path.join(workspaceRoot, '.arcl');
+  const dirs = [getWorkspaceArclDir()];
+  
+  try {
+    for (const entry of fs.readdirSync(workspaceRoot, { withFileTypes: true })) {
+      if (entry.isDirectory() && entry.name !== ARCL_DIR_NAME) {
+        dirs.push(path.join(workspaceRoot, entry.name, ARCL_DIR_NAME));
+      }
+    }
+  } catch {
+    // No workspace yet
+  }
+  dirs.push(getArclDir());
+  
+  return [...new Set(dirs.map(d => path.resolve(d)))]
+    .filter(d => fs.existsSync(d) && fs.statSync(d).isDirectory());
 }
 
 /**
@@ -37,9 +195,45 @@ export function getArclDir() {
  * @returns {string}
  */
 export function getHistoryPath() {
+  return path.join(getArclDir(), 'history.jsonl');
+}
+
+/**
+ * Gets the pre-JSONL history file path (a single JSON array).
+ * 
+ * @returns {string}
+ */
+function getLegacyHistoryPath() {
   return path.join(getArclDir(), 'history.json');
 }
 
+/**
+ * Gets the lock file that serializes history writers.
+ * 
+ * @returns {string}
+ */
+function getHistoryLockPath() {
+  return path.join(getArclDir(), 'history.lock');
+}
+
+/**
+ * Gets the record of where chaining started.
+ * 
+ * @returns {string}
+ */
+function getChainStartPath() {
+  return path.join(getArclDir(), 'history.chain.json');
+}
+
+/**
+ * Gets the per-file history index path.
+ * 
+ * @returns {string}
+ */
+function getIndexPath() {
+  return path.join(getArclDir(), 'history.index.json');
+}
+
 /**
  * Gets the backups directory path.
  * 
@@ -65,28 +259,549 @@ export function ensureArclDir() {
   return result;
 }
 
+/**
+ * Creates a project-level .arcl directory. From then on, commands run
+ * anywhere in the project keep their history, backups and config there.
+ * 
+ * @param {string} projectPath - Project root
+ * @returns {{success: boolean, path?: string, created?: boolean, error?: string}}
+ */
+export function initArclDir(projectPath) {
+  const arclDir = path.join(path.resolve(projectPath), ARCL_DIR_NAME);
+  const created = !fs.existsSync(arclDir);
+  
+  let result = ensureDir(arclDir);
+  if (!result.success) return result;
+  
+  result = ensureDir(path.join(arclDir, 'backups'));
+  if (!result.success) return result;
+
+  return { success: true, path: arclDir, created };
+}
+
+/**
+ * Converts history.json to history.jsonl. Caller holds the history lock.
+ * Entries already in history.jsonl (written by a newer arcl while an older
+ * one kept using history.json) stay after the converted ones.
+ * 
+ * @returns {{success: boolean, error?: string}}
+ */
+function migrateLegacyHistory() {
+  const legacyPath = getLegacyHistoryPath();
+  if (!fileExists(legacyPath)) {
+    return { success: true };
+  }
+  
+  const readResult = readFileUTF8(legacyPath);
+  if (!readResult.success) {
+    return { success: false, error: readResult.error };
+  }
+  
+  let entries;
+  try {
+    entries = JSON.parse(readResult.content);
+    if (!Array.isArray(entries)) throw new Error('not an array');
+  } catch (err) {
+    return { success: false, error: `Cannot migrate ${legacyPath}: ${err.message}` };
+  }
+  
+  const historyPath = getHistoryPath();
+  let content = entries.map(e => JSON.stringify(e) + '\n').join('');
+  if (fileExists(historyPath)) {
+    const existing = readFileUTF8(historyPath);
+    if (!existing.success) {
+      return { success: false, error: existing.error };
+    }
+    content += existing.content;
+  }
+  
+  const writeResult = writeFileUTF8(historyPath, content, { format: DEFAULT_FORMAT });
+  if (!writeResult.success) {
+    return { success: false, error: writeResult.error };
+  }
+  
+  try {
+    fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+  } catch (err) {
+    return { success: false, error: `Migrated history but could not rename ${legacyPath}: ${err.message}` };
+  }
+  
+  // The converted entries go in front of the chain, so they join the legacy prefix
+  const chainStart = readChainStart();
+  if (chainStart) {
+    const startResult = writeFileUTF8(getChainStartPath(), JSON.stringify({ ...chainStart, legacy: chainStart.legacy + entries.length }, null, 2));
+    if (!startResult.success) {
+      return { success: false, error: `Migrated history but could not update ${getChainStartPath()}: ${startResult.error}` };
+    }
+  }
+  
+  log('INFO', `Migrated ${entries.length} history entries to ${historyPath}`);
+  return { success: true };
+}
+
+/**
+ * Reads the chain start record.
+ * 
+ * @returns {{legacy: number, started: string}|null} null if chaining has not started (or the record is gone)
+ */
+function readChainStart() {
+  const startPath = getChainStartPath();
+  if (!fileExists(startPath)) {
+    return null;
+  }
+  
+  const readResult = readFileUTF8(startPath);
+  try {
+    if (!readResult.success) throw new Error(readResult.error);
+    const record = JSON.parse(readResult.content);
+    return Number.isInteger(record.legacy) ? record : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Records where chaining starts, before the first chained append: the
+ * entries written before it (all unhashed) are the legacy prefix.
+ * Caller holds the history lock.
+ * 
+ * @returns {{success: boolean, error?: string}}
+ */
+function ensureChainStart() {
+  if (fileExists(getChainStartPath())) {
+    return { success: true };
+  }
+  
+  let legacy = 0;
+  for (const entry of iterateHistory()) {
+    if (entry.hash !== undefined) break;
+    legacy++;
+  }
+  
+  return writeFileUTF8(getChainStartPath(), JSON.stringify({ legacy, started: new Date().toISOString() }, null, 2));
+}
+
+/**
+ * Runs the one-time migration if a history.json is still around.
+ * 
+ * @returns {{success: boolean, error?: string}}
+ */
+function ensureMigrated() {
+  if (!fileExists(getLegacyHistoryPath())) {
+    return { success: true };
+  }
+  return withFileLock(getHistoryLockPath(), migrateLegacyHistory);
+}
+
+/**
+ * Streams history entries, oldest first, without loading the whole file.
+ * A line that does not parse (an append cut short by a crash) is skipped.
+ * 
+ * @yields {HistoryEntry}
+ */
+export function* iterateHistory() {
+  let lineNumber = 0;
+  
+  for (const line of readLinesUTF8(getHistoryPath())) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+    
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      log('WARN', `Skipping unreadable history line ${lineNumber}`);
+      continue;
+    }
+    yield entry;
+  }
+}
+
+/**
+ * Streams every entry to a callback, migrating history.json first.
+ * 
+ * @param {function(HistoryEntry): void} visit - Called for every entry, oldest first
+ * @returns {{success: boolean, error?: string}}
+ */
+function scanHistory(visit) {
+  const migrated = ensureMigrated();
+  if (!migrated.success) return migrated;
+  
+  try {
+    for (const entry of iterateHistory()) {
+      visit(entry);
+    }
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: `Could not read history: ${err.message}` };
+  }
+}
+
 /**
  * Reads the current history.
  * 
  * @returns {{success: boolean, entries?: HistoryEntry[], error?: string}}
  */
 export function readHistory() {
+  const entries = [];
+  const result = scanHistory(entry => entries.push(entry));
+  return result.success ? { success: true, entries } : result;
+}
+
+/** Bump when the index layout changes; older indexes are rebuilt */
+const INDEX_VERSION = 1;
+
+/**
+ * Keys a file the way the history index does: the project name and the
+ * path inside the project ("api/src/main.py"). Files outside the
+ * workspace keep their absolute path.
+ * 
+ * @param {string} filePath - Absolute, or relative to the current directory
+ * @returns {string}
+ */
+export function getFileKey(filePath) {
+  const absolutePath = path.resolve(filePath);
+  const relative = path.relative(getDefaultWorkspaceRoot(), absolutePath);
+  if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return absolutePath;
+  }
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Lists the keys of every file an entry names. Relative paths (create
+ * entries from older versions) cannot be placed and are left out.
+ * 
+ * @param {HistoryEntry} entry
+ * @returns {string[]}
+ */
+function entryFileKeys(entry) {
+  const files = [...(entry.files || []), ...(entry.changes || []).map(c => c.file)];
+  return [...new Set(files.filter(f => path.isAbsolute(f)).map(getFileKey))];
+}
+
+/**
+ * @returns {HistoryIndex}
+ */
+function emptyIndex() {
+  return { version: INDEX_VERSION, size: 0, last: null, files: {}, renames: [] };
+}
+
+/**
+ * Reads the entry that starts at a byte offset.
+ * 
+ * @param {number} offset
+ * @returns {HistoryEntry|null} null if nothing there parses
+ */
+function readEntryAt(offset) {
+  for (const { line } of readLinesAtUTF8(getHistoryPath(), offset)) {
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Adds the entries appended since the index was last updated. Starts
+ * over when the log is shorter than the index or its newest indexed
+ * entry is not where the index says (history rewritten or migrated).
+ * 
+ * @param {HistoryIndex} index - Updated in place unless rebuilt
+ * @returns {HistoryIndex}
+ */
+function catchUpIndex(index) {
   const historyPath = getHistoryPath();
+  const size = fs.existsSync(historyPath) ? fs.statSync(historyPath).size : 0;
   
-  if (!fileExists(historyPath)) {
-    return { success: true, entries: [] };
+  const lastEntry = index.last ? readEntryAt(index.last.offset) : null;
+  if (index.size > size || (index.last && (!lastEntry || linkHash(lastEntry) !== index.last.hash))) {
+    if (index.size > 0) {
+      log('INFO', 'History changed outside arcl; rebuilding history index');
+    }
+    index = emptyIndex();
   }
   
-  const readResult = readFileUTF8(historyPath);
-  if (!readResult.success) {
-    return { success: false, error: readResult.error };
+  for (const { line, offset } of readLinesAtUTF8(historyPath, index.size)) {
+    // Lines a concurrent writer adds after the stat wait for the next update
+    if (offset >= size) break;
+    if (line.trim() === '') continue;
+    
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    
+    for (const key of entryFileKeys(entry)) {
+      (index.files[key] ||= []).push(offset);
+    }
+    for (const rename of entry.renames || []) {
+      index.renames.push({ from: getFileKey(rename.from), to: getFileKey(rename.to), offset });
+    }
+    index.last = { offset, hash: linkHash(entry) };
+  }
+  
+  index.size = size;
+  return index;
+}
+
+/**
+ * Loads the history index and brings it up to date, saving it back when
+ * it was behind the log. A missing, damaged or outdated index file is
+ * rebuilt from the log.
+ * 
+ * @returns {HistoryIndex}
+ */
+function loadIndex() {
+  let index = emptyIndex();
+  const indexPath = getIndexPath();
+  
+  if (fileExists(indexPath)) {
+    const readResult = readFileUTF8(indexPath);
+    try {
+      const stored = readResult.success ? JSON.parse(readResult.content) : null;
+      if (stored && stored.version === INDEX_VERSION) {
+        index = stored;
+      }
+    } catch {
+      log('WARN', 'History index is damaged; rebuilding it');
+    }
   }
   
+  const storedSize = index.size;
+  const current = catchUpIndex(index);
+  if (current !== index || current.size !== storedSize) {
+    saveIndex(current);
+  }
+  return current;
+}
+
+/**
+ * Writes the index file. Not done under the history lock: the write is
+ * atomic, and an index that another lookup saved from an older log is
+ * caught up again by the next one. The index is only a cache, so
+ * failures are logged, not returned.
+ * 
+ * @param {HistoryIndex} index
+ */
+function saveIndex(index) {
   try {
-    const entries = JSON.parse(readResult.content);
-    return { success: true, entries };
+    const writeResult = writeFileUTF8(getIndexPath(), JSON.stringify(index), { format: DEFAULT_FORMAT });
+    if (!writeResult.success) {
+      log('WARN', `Could not update history index: ${writeResult.error}`);
+    }
+  } catch (err) {
+    log('WARN', `Could not update history index: ${err.message}`);
+  }
+}
+
+/**
+ * Collects the offsets of a file's entries, following renames back to
+ * the names it had before.
+ * 
+ * @param {HistoryIndex} index
+ * @param {string} key - File key
+ * @param {number} before - Only entries before this offset
+ * @param {Set<number>} offsets - Collected into
+ */
+function collectOffsets(index, key, before, offsets) {
+  for (const offset of index.files[key] || []) {
+    if (offset < before) offsets.add(offset);
+  }
+  for (const rename of index.renames) {
+    if (rename.to === key && rename.offset < before) {
+      collectOffsets(index, rename.from, rename.offset, offsets);
+    }
+  }
+}
+
+/**
+ * Serializes a value with object keys sorted, so an entry hashes the
+ * same no matter how it was built or re-read.
+ * 
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(v => canonicalJSON(v) ?? 'null').join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Computes an entry's chain hash: SHA-256 of the entry without its hash
+ * field. Entries from before chaining hash as stored.
+ * 
+ * @param {HistoryEntry} entry
+ * @returns {string}
+ */
+export function computeEntryHash(entry) {
+  const { hash, ...rest } = entry;
+  return crypto.createHash('sha256').update(canonicalJSON(rest)).digest('hex');
+}
+
+/**
+ * Gets the hash the next entry links to: the stored one, or for an
+ * entry from before chaining, its computed hash.
+ * 
+ * @param {HistoryEntry} entry
+ * @returns {string}
+ */
+function linkHash(entry) {
+  return entry.hash || computeEntryHash(entry);
+}
+
+/**
+ * Finds the newest readable entry by reading the file from the end.
+ * 
+ * @returns {HistoryEntry|null}
+ */
+function readNewestEntry() {
+  for (const line of readLinesBackwardUTF8(getHistoryPath())) {
+    if (line.trim() === '') continue;
+    try {
+      return JSON.parse(line);
+    } catch {
+      // Partial line from a crash - the chain continues from the one before
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the chain head: the hash of the newest entry. Record it outside
+ * arcl to later prove nothing was removed from the end.
+ * 
+ * @returns {{success: boolean, hash?: string|null, id?: string|null, timestamp?: string|null, error?: string}}
+ */
+export function getChainHead() {
+  const migrated = ensureMigrated();
+  if (!migrated.success) return migrated;
+  
+  try {
+    const newest = readNewestEntry();
+    return {
+      success: true,
+      hash: newest ? linkHash(newest) : null,
+      id: newest?.id || null,
+      timestamp: newest?.timestamp || null
+    };
+  } catch (err) {
+    return { success: false, error: `Could not read history: ${err.message}` };
+  }
+}
+
+/**
+ * Walks the hash chain from the first entry and reports the first
+ * broken link. Lines that are not valid JSON are skipped, as every
+ * reader does; appends chain over them, and one that replaced a real
+ * entry breaks the link after it. Only the legacy prefix recorded in
+ * history.chain.json may lack hashes.
+ * 
+ * @param {Object} [options]
+ * @param {string} [options.anchor] - A chain head recorded earlier (or a prefix
+ *   of it); the check fails if no entry has that hash
+ * @returns {ChainVerification}
+ */
+export function verifyHistory(options = {}) {
+  const { anchor = null } = options;
+  
+  const migrated = ensureMigrated();
+  if (!migrated.success) return migrated;
+  
+  let lineNumber = 0;
+  let entries = 0;
+  let legacy = 0;
+  const unreadable = [];
+  let previous = null;
+  let chained = false;
+  let anchorFound = !anchor;
+  const chainStart = readChainStart();
+  const legacyLimit = chainStart ? chainStart.legacy : 0;
+  
+  const broken = (line, id, reason) => ({ success: true, valid: false, entries, legacy, unreadable, head: previous, broken: { line, id, reason } });
+  
+  try {
+    for (const line of readLinesUTF8(getHistoryPath())) {
+      lineNumber++;
+      if (line.trim() === '') continue;
+      
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        unreadable.push(lineNumber);
+        continue;
+      }
+      
+      const label = entry.id ? `Entry ${entry.id} (line ${lineNumber})` : `Entry at line ${lineNumber}`;
+      const computed = computeEntryHash(entry);
+      
+      if (entry.hash === undefined) {
+        if (chained) {
+          return broken(lineNumber, entry.id || null, `${label} has no hash but comes after chained entries`);
+        }
+        if (legacy >= legacyLimit) {
+          return broken(lineNumber, entry.id || null, chainStart
+            ? `${label} has no hash but only ${legacyLimit} entr${legacyLimit === 1 ? 'y was' : 'ies were'} written before chaining started`
+            : `${label} has no hash and no chain start is recorded (${getChainStartPath()} missing); hashes were removed, or no arcl command has written history since chaining was introduced`);
+        }
+        legacy++;
+      } else if (entry.hash !== computed) {
+        return broken(lineNumber, entry.id || null, `${label} was changed after it was written (hash mismatch)`);
+      } else if ((entry.prev ?? null) !== previous) {
+        return broken(lineNumber, entry.id || null, `${label} does not follow the entry before it (an entry was removed, inserted or reordered)`);
+      } else {
+        chained = true;
+      }
+      
+      if (anchor && computed.startsWith(anchor)) {
+        anchorFound = true;
+      }
+      previous = computed;
+      entries++;
+    }
   } catch (err) {
-    return { success: false, error: `Invalid history file: ${err.message}` };
+    return { success: false, error: `Could not read history: ${err.message}` };
+  }
+  
+  if (!anchorFound) {
+    return broken(null, null, `Chain head ${anchor} is not in the history (entries were removed from the end, or the history was rewritten)`);
+  }
+  
+  return { success: true, valid: true, entries, legacy, unreadable, head: previous };
+}
+
+/**
+ * Checks whether a non-empty file ends in a newline.
+ * 
+ * @param {string} filePath
+ * @returns {boolean} true for a missing or empty file
+ */
+function endsWithNewline(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const { size } = fs.fstatSync(fd);
+    if (size === 0) return true;
+    
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] === 0x0A;
+  } catch {
+    // Missing, or unreadable - the append itself will report that
+    return true;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
   }
 }
 
@@ -104,22 +819,28 @@ export function appendHistory(entry) {
     return { success: false, error: dirResult.error };
   }
   
-  // Read existing history
-  const readResult = readHistory();
-  const entries = readResult.success ? readResult.entries : [];
-  
   // Add timestamp if not present
   if (!entry.timestamp) {
     entry.timestamp = new Date().toISOString();
   }
   
-  // Append new entry
-  entries.push(entry);
-  
-  // Write back
-  const historyPath = getHistoryPath();
-  const content = JSON.stringify(entries, null, 2);
-  const writeResult = writeFileUTF8(historyPath, content);
+  const writeResult = withFileLock(getHistoryLockPath(), () => {
+    const migrated = migrateLegacyHistory();
+    if (!migrated.success) return migrated;
+    
+    const started = ensureChainStart();
+    if (!started.success) return started;
+    
+    // Link to the newest entry; only this process can append right now
+    const newest = readNewestEntry();
+    entry.prev = newest ? linkHash(newest) : null;
+    entry.hash = computeEntryHash(entry);
+    
+    // An append cut short by a crash leaves a partial line; start after it
+    const historyPath = getHistoryPath();
+    const separator = endsWithNewline(historyPath) ? '' : '\n';
+    return appendFileUTF8(historyPath, separator + JSON.stringify(entry) + '\n');
+  });
   
   if (!writeResult.success) {
     console.error(`Warning: Could not write history: ${writeResult.error}`);
@@ -137,12 +858,22 @@ export function appendHistory(entry) {
  * @param {string|string[]} params.files - File(s) affected
  * @param {string} params.instruction - User instruction
  * @param {string} params.provider - Provider used
+ * @param {string|null} [params.model] - Model that answered
+ * @param {Object|null} [params.usage] - Token usage of the LLM call(s)
  * @param {string} params.result - Result status
  * @param {string} [params.error] - Error message if failed
- * @returns {{success: boolean, error?: string}}
+ * @param {Object[]} [params.rejectedHunks] - Hunks left out of a partial apply
+ * @param {string[]} [params.rejectFiles] - .rej files written by a partial apply
+ * @param {FileChange[]} [params.changes] - Files changed, with before/after hashes
+ * @param {string} [params.diff] - Applied diff
+ * @param {string[]} [params.reverts] - Entry ids undone by this command
+ * @param {Array<{from: string, to: string}>} [params.renames] - Files moved by this command
+ * @param {Object[]} [params.policies] - Policy module results (see config.js runPolicyModules)
+ * @returns {{success: boolean, id: string, error?: string}}
  */
-export function recordCommand({ command, files, instruction, provider, result, error }) {
+export function recordCommand({ command, files, instruction, provider, model, usage, result, error, rejectedHunks, rejectFiles, changes, diff, reverts, renames, policies }) {
   const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
     timestamp: new Date().toISOString(),
     command,
     files: Array.isArray(files) ? files : [files],
@@ -151,64 +882,170 @@ export function recordCommand({ command, files, instruction, provider, result, e
     result
   };
   
+  if (model) {
+    entry.model = model;
+  }
+  
+  if (usage) {
+    entry.usage = usage;
+  }
+  
   if (error) {
     entry.error = error;
   }
   
-  return appendHistory(entry);
+  if (rejectedHunks && rejectedHunks.length > 0) {
+    entry.rejectedHunks = rejectedHunks;
+    entry.rejectFiles = rejectFiles || [];
+  }
+  
+  if (changes && changes.length > 0) {
+    entry.changes = changes;
+  }
+  
+  if (diff) {
+    entry.diff = diff;
+  }
+  
+  if (reverts && reverts.length > 0) {
+    entry.reverts = reverts;
+  }
+  
+  if (renames && renames.length > 0) {
+    entry.renames = renames;
+  }
+  
+  if (policies && policies.length > 0) {
+    entry.policies = policies;
+  }
+  
+  return { ...appendHistory(entry), id: entry.id };
 }
 
 /**
- * Gets the provider name from environment.
+ * Gets the last N history entries.
  * 
- * @returns {string}
+ * @param {number} count - Number of entries to return
+ * @returns {{success: boolean, entries?: HistoryEntry[], error?: string}}
  */
-export function getCurrentProvider() {
-  const provider = process.env.ARCL_PROVIDER || 'gemini';
-  return provider;
+export function getLastEntries(count = 1) {
+  const entries = [];
+  const result = scanHistory(entry => {
+    entries.push(entry);
+    if (entries.length > count) entries.shift();
+  });
+  return result.success ? { success: true, entries } : result;
 }
 
 /**
- * Gets the last N history entries.
+ * Gets the history entries for one file, oldest first: exactly that
+ * path, plus its entries under earlier names if arcl renamed it.
  * 
- * @param {number} count - Number of entries to return
+ * @param {string} filePath - Absolute, or relative to the current directory
  * @returns {{success: boolean, entries?: HistoryEntry[], error?: string}}
  */
-export function getLastEntries(count = 1) {
-  const result = readHistory();
-  if (!result.success) return result;
+export function getEntriesForFile(filePath) {
+  const migrated = ensureMigrated();
+  if (!migrated.success) return migrated;
   
-  const entries = result.entries.slice(-count);
-  return { success: true, entries };
+  try {
+    const index = loadIndex();
+    const offsets = new Set();
+    collectOffsets(index, getFileKey(filePath), Infinity, offsets);
+    
+    const entries = [...offsets].sort((a, b) => a - b).map(readEntryAt).filter(Boolean);
+    return { success: true, entries };
+  } catch (err) {
+    return { success: false, error: `Could not read history: ${err.message}` };
+  }
 }
 
 /**
- * Gets history entries for a specific file.
+ * Parses a --since/--until value: an ISO date or time, or an age such
+ * as 30m, 12h, 7d or 2w. A bare date used as an upper bound covers
+ * that whole day.
  * 
- * @param {string} filePath - File path to filter by
- * @returns {{success: boolean, entries?: HistoryEntry[], error?: string}}
+ * @param {string} value
+ * @param {boolean} [isUpperBound=false]
+ * @returns {{success: boolean, date?: Date, error?: string}}
  */
-export function getEntriesForFile(filePath) {
-  const result = readHistory();
-  if (!result.success) return result;
+export function parseTimeBound(value, isUpperBound = false) {
+  const age = /^(\d+)([mhdw])$/.exec(value);
+  if (age) {
+    const unit = { m: 60e3, h: 3600e3, d: 86400e3, w: 604800e3 }[age[2]];
+    return { success: true, date: new Date(Date.now() - Number(age[1]) * unit) };
+  }
   
-  const normalized = path.basename(filePath);
-  const entries = result.entries.filter(e => 
-    e.files && e.files.some(f => f.includes(normalized) || normalized.includes(path.basename(f)))
-  );
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    return { success: false, error: `Invalid date: ${value} (use YYYY-MM-DD, an ISO time, or an age like 7d)` };
+  }
+  
+  const wholeDay = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return { success: true, date: new Date(wholeDay && isUpperBound ? time + 86400e3 : time) };
+}
+
+/**
+ * Checks an entry against a filter.
+ * 
+ * @param {HistoryEntry} entry
+ * @param {HistoryFilter} filter
+ * @returns {boolean}
+ */
+function matchesFilter(entry, filter) {
+  if (filter.command && !filter.command.includes(entry.command)) return false;
+  if (filter.result && !filter.result.includes(entry.result)) return false;
+  if (filter.provider && !filter.provider.includes(entry.provider)) return false;
   
-  return { success: true, entries };
+  if (filter.since || filter.until) {
+    const time = Date.parse(entry.timestamp);
+    if (filter.since && !(time >= filter.since.getTime())) return false;
+    if (filter.until && !(time < filter.until.getTime())) return false;
+  }
+  
+  if (filter.file) {
+    const root = getDefaultWorkspaceRoot();
+    const touched = (entry.files || []).some(f => matchesGlob(path.relative(root, path.resolve(f)), filter.file));
+    if (!touched) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Gets the history entries matching a filter, oldest first.
+ * 
+ * @param {HistoryFilter} [filter]
+ * @returns {{success: boolean, entries?: HistoryEntry[], error?: string}}
+ */
+export function queryHistory(filter = {}) {
+  const entries = [];
+  const result = scanHistory(entry => {
+    if (matchesFilter(entry, filter)) entries.push(entry);
+  });
+  return result.success ? { success: true, entries } : result;
 }
 
 export default {
+  findArclDir,
+  setArclContext,
+  listArclDirs,
+  getWorkspaceArclDir,
   getArclDir,
+  initArclDir,
   getHistoryPath,
   getBackupsDir,
   ensureArclDir,
   readHistory,
+  iterateHistory,
   appendHistory,
+  computeEntryHash,
+  getChainHead,
+  verifyHistory,
   recordCommand,
-  getCurrentProvider,
   getLastEntries,
-  getEntriesForFile
+  getEntriesForFile,
+  getFileKey,
+  parseTimeBound,
+  queryHistory
 };
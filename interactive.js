@@ -11,7 +11,8 @@ import path from 'path';
 import { memory } from './memory.js';
 import { saveSession, loadLatestSession, listSessions, saveConversation, loadConversation } from './persistence.js';
 import { callLLM, validateDiffFormat } from './llm.js';
-import { applyDiffToFile } from './applyDiff.js';
+import { applyDiffToFile, restoreFromBackup } from './applyDiff.js';
+import { readFileUTF8, classifyFile } from './io.js';
 import { runVerification } from './executor.js';
 import { gatherProjectContext } from './planner.js';
 import * as logger from './logger.js';
@@ -316,8 +317,7 @@ Or just type your instruction to edit files.
     }
 
     const confirm = await this.confirm(`Restore ${path.basename(filePath)} from backup?`);
-    if (confirm) {
-      fs.copyFileSync(backupPath, filePath);
+    if (confirm && restoreFromBackup(filePath, backupPath)) {
       console.log(`Restored: ${filePath}`);
       memory.recordAction('undo', `Restored ${path.basename(filePath)}`, { filePath, backupPath });
     }
@@ -342,10 +342,21 @@ Or just type your instruction to edit files.
     for (const file of this.targetFiles) {
       const absPath = path.resolve(this.workingDir, file);
       if (fs.existsSync(absPath)) {
+        const fileClass = classifyFile(absPath);
+        if (!fileClass.ok) {
+          console.log(`Skipping ${file}: ${fileClass.reason}`);
+          continue;
+        }
+        
+        const readResult = readFileUTF8(absPath);
+        if (!readResult.success) {
+          console.log(`Failed to read ${file}: ${readResult.error}`);
+          continue;
+        }
         files.push({
           path: absPath,
           name: file,
-          content: fs.readFileSync(absPath, 'utf8')
+          content: readResult.content
         });
       }
     }
@@ -1,68 +1,481 @@
 /**
- * Global UTF-8 I/O Module
+ * Global I/O Module
  * 
  * Enforces consistent encoding across all file operations.
  * Eliminates encoding corruption (BOM issues, broken characters).
  * 
  * Rules:
- * - All reads use UTF-8 explicitly
- * - All writes use UTF-8 explicitly
- * - Line endings normalized to LF (\n)
+ * - In memory, content is always a BOM-free string with LF (\n) endings
+ * - On disk, each file keeps its own encoding, BOM and line endings:
+ *   reads detect and remember them, writes put them back
+ * - The format policy (see setFormatPolicy) can override that per file
+ * - Binary, oversized, minified and generated files are classified
+ *   (see classifyFile) before anything reads them for a provider or patch
+ * - Every write is atomic: temp file in the same directory, fsync,
+ *   rename over the target. A crash leaves the old file or the new one,
+ *   never a truncated one. Permissions of the target are kept.
+ * - Append-only logs are the exception: appendFileUTF8 adds a record and
+ *   fsyncs; at worst a crash leaves a partial last line, which
+ *   readLinesUTF8 callers must tolerate. withFileLock serializes writers.
  * - No reliance on OS defaults
  */
 
 import fs from 'fs';
 import path from 'path';
+import { StringDecoder } from 'string_decoder';
 
 /**
- * Reads a file with explicit UTF-8 encoding.
+ * @typedef {Object} FileFormat
+ * @property {'utf8'|'utf16le'|'utf16be'|'latin1'} encoding - Character encoding
+ * @property {boolean} bom - Whether the file starts with a byte order mark
+ * @property {'\n'|'\r\n'|'\r'} eol - Line ending
+ * @property {boolean} [mixed] - More than one kind of line ending, so eol is only the most common
+ */
+
+/**
+ * @typedef {Object} FormatPolicy
+ * @property {string} encoding - preserve | utf8 | utf16le | utf16be | latin1
+ * @property {string} bom - preserve | add | strip
+ * @property {string} line_endings - preserve | lf | crlf
+ */
+
+/**
+ * Format for files arcl has never read: UTF-8, no BOM, LF.
+ * @type {FileFormat}
+ */
+export const DEFAULT_FORMAT = { encoding: 'utf8', bom: false, eol: '\n' };
+
+const BOMS = {
+  utf8: Buffer.from([0xEF, 0xBB, 0xBF]),
+  utf16le: Buffer.from([0xFF, 0xFE]),
+  utf16be: Buffer.from([0xFE, 0xFF])
+};
+
+const EOLS = { lf: '\n', crlf: '\r\n' };
+
+/** Why a file with mixed line endings is not written. */
+const MIXED_EOL_ERROR = 'File has mixed line endings; set "line_endings" for it in file_format_overrides '
+  + 'to edit it (every line is then written with that ending)';
+
+/** Formats seen on read or write, by absolute path. */
+const knownFormats = new Map();
+
+/** Resolves the format policy for an absolute path (null = preserve everything). */
+let formatPolicy = null;
+
+/**
+ * Sets the per-file format policy used by writes.
+ * 
+ * @param {function(string): FormatPolicy|null} resolver - Maps an absolute path to its policy
+ */
+export function setFormatPolicy(resolver) {
+  formatPolicy = resolver;
+}
+
+/**
+ * Detects the encoding, BOM and line endings of raw file bytes.
+ * Mixed line endings are reported as the most common one, flagged mixed.
+ * 
+ * @param {Buffer} buffer - Raw file content
+ * @returns {{format: FileFormat, text: string}} Format and decoded text (BOM stripped, endings untouched)
+ */
+export function detectFormat(buffer) {
+  let encoding;
+  let bom = true;
+  
+  if (buffer.subarray(0, 3).equals(BOMS.utf8)) {
+    encoding = 'utf8';
+  } else if (buffer.subarray(0, 2).equals(BOMS.utf16le)) {
+    encoding = 'utf16le';
+  } else if (buffer.subarray(0, 2).equals(BOMS.utf16be)) {
+    encoding = 'utf16be';
+  } else {
+    bom = false;
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+      encoding = 'utf8';
+    } catch {
+      // Not valid UTF-8: read byte for byte rather than corrupt it
+      encoding = 'latin1';
+    }
+  }
+  
+  const body = bom ? buffer.subarray(BOMS[encoding].length) : buffer;
+  const text = encoding === 'utf16be'
+    ? Buffer.from(body).swap16().toString('utf16le')
+    : body.toString(encoding);
+  
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const lf = (text.match(/(?<!\r)\n/g) || []).length;
+  const cr = (text.match(/\r(?!\n)/g) || []).length;
+  
+  let eol = '\n';
+  if (crlf > lf && crlf >= cr) eol = '\r\n';
+  else if (cr > lf && cr > crlf) eol = '\r';
+  
+  const mixed = [crlf, lf, cr].filter(count => count > 0).length > 1;
+  
+  return { format: { encoding, bom, eol, mixed }, text };
+}
+
+/**
+ * Gets the format a write to this path will use: the remembered (or
+ * detected) format of the file, with the policy applied on top.
+ * 
+ * @param {string} filePath - Target file
+ * @returns {FileFormat}
+ */
+export function getFileFormat(filePath) {
+  const absolutePath = path.resolve(filePath);
+  let format = knownFormats.get(absolutePath);
+  
+  if (!format) {
+    try {
+      format = detectFormat(fs.readFileSync(absolutePath)).format;
+    } catch {
+      format = DEFAULT_FORMAT;
+    }
+  }
+  
+  const policy = formatPolicy ? formatPolicy(absolutePath) : null;
+  if (!policy) {
+    return { ...format };
+  }
+  
+  return {
+    encoding: policy.encoding && policy.encoding !== 'preserve' ? policy.encoding : format.encoding,
+    bom: policy.bom === 'add' ? true : policy.bom === 'strip' ? false : format.bom,
+    eol: EOLS[policy.line_endings] || format.eol,
+    mixed: EOLS[policy.line_endings] ? false : format.mixed
+  };
+}
+
+/**
+ * Checks that a file can be written back without changing line endings
+ * on lines the edit did not touch. A file with mixed endings cannot be
+ * (it is written with one ending throughout) unless line_endings is set
+ * for it, so edits are refused before anything is asked of a provider.
+ * 
+ * @param {string} filePath - File about to be edited
+ * @returns {{success: boolean, error?: string}}
+ */
+export function checkLineEndings(filePath) {
+  return getFileFormat(filePath).mixed
+    ? { success: false, error: MIXED_EOL_ERROR }
+    : { success: true };
+}
+
+/**
+ * Encodes LF text for disk in the given format.
+ * 
+ * @param {string} content - Text (any line endings)
+ * @param {FileFormat} format
+ * @returns {Buffer}
+ */
+function encodeContent(content, format) {
+  if (format.mixed) {
+    throw new Error(MIXED_EOL_ERROR);
+  }
+  
+  let text = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+  if (format.eol !== '\n') {
+    text = text.replace(/\n/g, format.eol);
+  }
+  
+  if (format.encoding === 'latin1' && /[^\u0000-\u00FF]/.test(text)) {
+    throw new Error('Content has characters that latin1 cannot encode');
+  }
+  
+  let body = format.encoding === 'utf16be'
+    ? Buffer.from(text, 'utf16le').swap16()
+    : Buffer.from(text, format.encoding);
+  
+  if (format.bom && BOMS[format.encoding]) {
+    body = Buffer.concat([BOMS[format.encoding], body]);
+  }
+  return body;
+}
+
+/**
+ * @typedef {Object} FileLimits
+ * @property {number} max_bytes - Largest file read for editing or a single-file question
+ * @property {number} max_context_bytes - Largest file read when several are gathered
+ * @property {number} max_line_length - Any longer line marks the file as minified
+ * @property {boolean} force_text - Skip binary, minified and generated detection
+ */
+
+/**
+ * @typedef {Object} FileClass
+ * @property {'text'|'binary'|'too-large'|'minified'|'generated'|'missing'} kind - Classification
+ * @property {boolean} ok - Whether the file may be sent to a provider or patched
+ * @property {number} size - Size in bytes (0 if missing)
+ * @property {string|null} reason - Why it was refused (null when ok)
+ */
+
+/**
+ * Limits used when no policy is set.
+ * @type {FileLimits}
+ */
+export const DEFAULT_FILE_LIMITS = {
+  max_bytes: 1024 * 1024,
+  max_context_bytes: 50 * 1024,
+  max_line_length: 5000,
+  force_text: false
+};
+
+/** Bytes inspected for binary, minified and generated detection. */
+const SAMPLE_BYTES = 64 * 1024;
+
+/** File names that are always tool output. */
+const GENERATED_NAMES = new Set([
+  'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml',
+  'Cargo.lock', 'poetry.lock', 'Pipfile.lock', 'composer.lock', 'Gemfile.lock', 'go.sum'
+]);
+
+/**
+ * Header markers that code generators write (including Go's "Code
+ * generated ... DO NOT EDIT."). Case-sensitive: a hand-written "Do not
+ * edit this block by hand" or "Generated by" credit is not one.
+ */
+const GENERATED_MARKER = /@generated|DO NOT EDIT/;
+
+/** Resolves file limits for an absolute path (null = defaults). */
+let limitsPolicy = null;
+
+/**
+ * Sets the per-file limits used by classifyFile.
+ * 
+ * @param {function(string): FileLimits|null} resolver - Maps an absolute path to its limits
+ */
+export function setLimitsPolicy(resolver) {
+  limitsPolicy = resolver;
+}
+
+/**
+ * Formats a byte count for messages.
+ * 
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Looks for binary content: NUL bytes, or mostly control characters.
+ * UTF-16 with a BOM is text.
+ * 
+ * @param {Buffer} sample
+ * @returns {boolean}
+ */
+function looksBinary(sample) {
+  if (sample.subarray(0, 2).equals(BOMS.utf16le) || sample.subarray(0, 2).equals(BOMS.utf16be)) {
+    return false;
+  }
+  if (sample.includes(0)) {
+    return true;
+  }
+  
+  let control = 0;
+  for (const byte of sample) {
+    // Tab, LF, FF, CR and ESC appear in text files
+    if (byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D, 0x1B].includes(byte)) control++;
+  }
+  return sample.length > 0 && control / sample.length > 0.1;
+}
+
+/**
+ * Classifies a file before it is read for a provider or patched.
+ * 
+ * - binary: NUL bytes or >10% control characters
+ * - too-large: over max_bytes (or max_context_bytes when gathering)
+ * - minified: *.min.* names, a line over max_line_length, or an
+ *   average line over 300 characters
+ * - generated: lockfiles, source maps, or a "DO NOT EDIT" or
+ *   "@generated" marker near the top
+ * 
+ * @param {string} filePath - File to classify
+ * @param {Object} [options]
+ * @param {boolean} [options.context=false] - Use the max_context_bytes limit
+ * @returns {FileClass}
+ */
+export function classifyFile(filePath, options = {}) {
+  const { context = false } = options;
+  const absolutePath = path.resolve(filePath);
+  const limits = { ...DEFAULT_FILE_LIMITS, ...(limitsPolicy ? limitsPolicy(absolutePath) : null) };
+  const override = 'add it to force_text_paths in .arcl/config.json to override';
+  
+  let size;
+  let sample;
+  try {
+    size = fs.statSync(absolutePath).size;
+    const fd = fs.openSync(absolutePath, 'r');
+    try {
+      sample = Buffer.alloc(Math.min(size, SAMPLE_BYTES));
+      fs.readSync(fd, sample, 0, sample.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch (err) {
+    return { kind: 'missing', ok: false, size: 0, reason: err.message };
+  }
+  
+  const maxBytes = context ? limits.max_context_bytes : limits.max_bytes;
+  if (maxBytes > 0 && size > maxBytes) {
+    const setting = context ? 'file_limits.max_context_bytes' : 'file_limits.max_bytes';
+    return {
+      kind: 'too-large',
+      ok: false,
+      size,
+      reason: `File is ${formatBytes(size)}; the limit is ${formatBytes(maxBytes)} (raise ${setting} to allow it)`
+    };
+  }
+  
+  if (limits.force_text) {
+    return { kind: 'text', ok: true, size, reason: null };
+  }
+  
+  if (looksBinary(sample)) {
+    return { kind: 'binary', ok: false, size, reason: `Binary file; ${override}` };
+  }
+  
+  const name = path.basename(absolutePath);
+  if (GENERATED_NAMES.has(name) || name.endsWith('.map')) {
+    return { kind: 'generated', ok: false, size, reason: `Generated file (${name}); ${override}` };
+  }
+  
+  const text = detectFormat(sample).text;
+  const header = text.split('\n').slice(0, 5).join('\n');
+  const marker = header.match(GENERATED_MARKER);
+  if (marker) {
+    return { kind: 'generated', ok: false, size, reason: `Generated file (header says "${marker[0]}"); ${override}` };
+  }
+  
+  const lines = text.split('\n');
+  const longest = lines.reduce((max, l) => Math.max(max, l.length), 0);
+  const average = text.length / lines.length;
+  let minified = null;
+  if (/\.min\.[a-z]+$/i.test(name)) minified = name;
+  else if (longest > limits.max_line_length) minified = `a line of ${longest} characters`;
+  else if (text.length >= 2048 && average > 300) minified = `average line of ${Math.round(average)} characters`;
+  
+  if (minified) {
+    return { kind: 'minified', ok: false, size, reason: `Minified file (${minified}); ${override}` };
+  }
+  
+  return { kind: 'text', ok: true, size, reason: null };
+}
+
+/**
+ * Atomically replaces a file with new bytes.
+ * 
+ * The data goes to a temp file next to the target, is fsynced, and is
+ * renamed over the target; the directory is then fsynced so the rename
+ * itself survives a crash. An existing target keeps its permission bits;
+ * a symlinked target is written through, not replaced.
+ * 
+ * @param {string} absolutePath - Target file
+ * @param {Buffer} data - New content
+ * @param {number} [mode] - Permission bits for a new file (default: umask)
+ */
+function atomicWrite(absolutePath, data, mode) {
+  let target = absolutePath;
+  let targetMode = mode;
+  
+  if (fs.existsSync(absolutePath)) {
+    target = fs.realpathSync(absolutePath);
+    targetMode = fs.statSync(target).mode & 0o7777;
+  }
+  
+  const dir = path.dirname(target);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  
+  const tempPath = path.join(dir, `.${path.basename(target)}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.tmp`);
+  
+  try {
+    const fd = fs.openSync(tempPath, 'wx', targetMode ?? 0o666);
+    try {
+      fs.writeFileSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    
+    // openSync applies the umask; put the original bits back exactly
+    if (targetMode !== undefined) {
+      fs.chmodSync(tempPath, targetMode);
+    }
+    
+    fs.renameSync(tempPath, target);
+  } catch (err) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch {
+      // Temp file was never created or already renamed
+    }
+    throw err;
+  }
+  
+  // Persist the rename; not supported for directories on every platform
+  try {
+    const dirFd = fs.openSync(dir, 'r');
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch {
+    // Best effort
+  }
+}
+
+/**
+ * Reads a text file, detecting its encoding.
  * Strips BOM if present. Normalizes line endings to LF.
+ * The on-disk format is remembered for later writes to the same path.
  * 
  * @param {string} filePath - Absolute path to file
- * @returns {{success: boolean, content?: string, error?: string}}
+ * @returns {{success: boolean, content?: string, format?: FileFormat, error?: string}}
  */
 export function readFileUTF8(filePath) {
   try {
     const absolutePath = path.resolve(filePath);
-    let content = fs.readFileSync(absolutePath, { encoding: 'utf8' });
+    const { format, text } = detectFormat(fs.readFileSync(absolutePath));
     
-    // Strip UTF-8 BOM if present
-    if (content.charCodeAt(0) === 0xFEFF) {
-      content = content.slice(1);
-    }
+    knownFormats.set(absolutePath, format);
     
     // Normalize line endings to LF
-    content = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+    const content = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
     
-    return { success: true, content };
+    return { success: true, content, format };
   } catch (err) {
     return { success: false, error: err.message };
   }
 }
 
 /**
- * Writes content to a file with explicit UTF-8 encoding.
- * Normalizes line endings to LF. No BOM.
+ * Writes content to a file in its own format: the encoding, BOM and
+ * line endings it had when read, adjusted by the format policy.
+ * New files use DEFAULT_FORMAT unless the policy says otherwise.
  * 
  * @param {string} filePath - Absolute path to file
  * @param {string} content - Content to write
+ * @param {Object} [options]
+ * @param {FileFormat} [options.format] - Write in this format instead (e.g. staging for another path)
  * @returns {{success: boolean, error?: string}}
  */
-export function writeFileUTF8(filePath, content) {
+export function writeFileUTF8(filePath, content, options = {}) {
   try {
     const absolutePath = path.resolve(filePath);
+    const format = options.format || getFileFormat(absolutePath);
     
-    // Ensure parent directory exists
-    const dir = path.dirname(absolutePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    
-    // Normalize line endings to LF
-    const normalizedContent = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-    
-    // Write with explicit UTF-8, no BOM
-    fs.writeFileSync(absolutePath, normalizedContent, { encoding: 'utf8' });
+    // Temp file + fsync + rename (creates the parent directory if needed)
+    atomicWrite(absolutePath, encodeContent(content, format));
+    knownFormats.set(absolutePath, format);
     
     return { success: true };
   } catch (err) {
@@ -71,7 +484,8 @@ export function writeFileUTF8(filePath, content) {
 }
 
 /**
- * Copies a file preserving UTF-8 encoding.
+ * Copies a file byte for byte, atomically.
+ * An existing destination keeps its permissions; a new one gets the source's.
  * 
  * @param {string} srcPath - Source file path
  * @param {string} destPath - Destination file path
@@ -82,19 +496,317 @@ export function copyFileUTF8(srcPath, destPath) {
     const absoluteSrc = path.resolve(srcPath);
     const absoluteDest = path.resolve(destPath);
     
-    // Ensure destination directory exists
-    const dir = path.dirname(absoluteDest);
+    const data = fs.readFileSync(absoluteSrc);
+    atomicWrite(absoluteDest, data, fs.statSync(absoluteSrc).mode & 0o7777);
+    knownFormats.delete(absoluteDest);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Appends UTF-8 text to a file (creating it) and fsyncs it.
+ * Meant for line-oriented logs; the text should end with "\n".
+ * 
+ * @param {string} filePath - File to append to
+ * @param {string} content - Text to append
+ * @returns {{success: boolean, error?: string}}
+ */
+export function appendFileUTF8(filePath, content) {
+  try {
+    const absolutePath = path.resolve(filePath);
+    
+    const dir = path.dirname(absolutePath);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
     
-    fs.copyFileSync(absoluteSrc, absoluteDest);
+    const fd = fs.openSync(absolutePath, 'a');
+    try {
+      fs.writeFileSync(fd, Buffer.from(content, 'utf8'));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
     return { success: true };
   } catch (err) {
     return { success: false, error: err.message };
   }
 }
 
+/**
+ * Reads a UTF-8 file line by line without loading it whole.
+ * Line terminators (LF or CRLF) are stripped; a missing file yields nothing.
+ * 
+ * @param {string} filePath - File to read
+ * @param {number} [chunkSize=65536] - Bytes read at a time
+ * @yields {string}
+ */
+export function* readLinesUTF8(filePath, chunkSize = 65536) {
+  const absolutePath = path.resolve(filePath);
+  if (!fs.existsSync(absolutePath)) return;
+  
+  const fd = fs.openSync(absolutePath, 'r');
+  const buffer = Buffer.alloc(chunkSize);
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, chunkSize, null)) > 0) {
+      pending += decoder.write(buffer.subarray(0, bytesRead));
+      
+      let newline;
+      while ((newline = pending.indexOf('\n')) !== -1) {
+        yield pending.slice(0, newline).replace(/\r$/, '');
+        pending = pending.slice(newline + 1);
+      }
+    }
+    
+    pending += decoder.end();
+    if (pending.length > 0) {
+      yield pending.replace(/\r$/, '');
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Reads a UTF-8 file line by line from a byte offset, yielding each line
+ * with the offset it starts at, so callers can index a log and seek back
+ * to single records. Line terminators are stripped.
+ * 
+ * @param {string} filePath - File to read
+ * @param {number} [start=0] - Byte offset of the first line
+ * @param {number} [chunkSize=65536] - Bytes read at a time
+ * @yields {{line: string, offset: number}}
+ */
+export function* readLinesAtUTF8(filePath, start = 0, chunkSize = 65536) {
+  const absolutePath = path.resolve(filePath);
+  if (!fs.existsSync(absolutePath)) return;
+  
+  const fd = fs.openSync(absolutePath, 'r');
+  const buffer = Buffer.alloc(chunkSize);
+  let pending = Buffer.alloc(0);
+  let offset = start;
+  let position = start;
+  
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, chunkSize, position)) > 0) {
+      position += bytesRead;
+      pending = Buffer.concat([pending, buffer.subarray(0, bytesRead)]);
+      
+      // Split on the byte, so offsets stay exact and characters are never cut
+      let newline;
+      while ((newline = pending.indexOf(0x0A)) !== -1) {
+        yield { line: pending.subarray(0, newline).toString('utf8').replace(/\r$/, ''), offset };
+        offset += newline + 1;
+        pending = pending.subarray(newline + 1);
+      }
+    }
+    
+    if (pending.length > 0) {
+      yield { line: pending.toString('utf8').replace(/\r$/, ''), offset };
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Reads a UTF-8 file line by line from the end, without loading it whole.
+ * Useful for the newest records of an append-only log. Line terminators
+ * are stripped; the empty string after a final newline is yielded first.
+ * 
+ * @param {string} filePath - File to read
+ * @param {number} [chunkSize=65536] - Bytes read at a time
+ * @yields {string}
+ */
+export function* readLinesBackwardUTF8(filePath, chunkSize = 65536) {
+  const absolutePath = path.resolve(filePath);
+  if (!fs.existsSync(absolutePath)) return;
+  
+  const fd = fs.openSync(absolutePath, 'r');
+  let position = fs.fstatSync(fd).size;
+  let tail = Buffer.alloc(0);
+  
+  try {
+    while (position > 0) {
+      const length = Math.min(chunkSize, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, position);
+      tail = Buffer.concat([chunk, tail]);
+      
+      // Split on the byte, so multi-byte characters are never cut
+      let newline;
+      while ((newline = tail.lastIndexOf(0x0A)) !== -1) {
+        yield tail.subarray(newline + 1).toString('utf8').replace(/\r$/, '');
+        tail = tail.subarray(0, newline);
+      }
+    }
+    
+    if (tail.length > 0) {
+      yield tail.toString('utf8').replace(/\r$/, '');
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Blocks the thread for a while (lock retry back-off).
+ * 
+ * @param {number} ms
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Checks whether a process is still running.
+ * 
+ * @param {number} pid
+ * @returns {boolean} false only when the process is known to be gone
+ */
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // ESRCH: gone. EPERM: alive, owned by someone else.
+    return err.code !== 'ESRCH';
+  }
+}
+
+/**
+ * Checks whether a lock file was left by a process that is gone. A lock
+ * whose owner is alive is never broken, however long it is held; only a
+ * lock file that names no owner (unreadable, half-written) is broken
+ * once it is older than staleMs.
+ * 
+ * @param {string} lockPath
+ * @param {number} staleMs
+ * @returns {fs.Stats|null} The stale lock file's stats (to recognise it when breaking it), or null
+ */
+function findStaleLock(lockPath, staleMs) {
+  let stats;
+  let pid;
+  try {
+    // Stat and read through one descriptor so the two describe the same file
+    const fd = fs.openSync(lockPath, 'r');
+    try {
+      stats = fs.fstatSync(fd);
+      pid = JSON.parse(fs.readFileSync(fd, 'utf8')).pid;
+    } catch {
+      pid = undefined;
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    return null; // Released meanwhile
+  }
+  if (!stats) return null;
+  
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return Date.now() - stats.mtimeMs > staleMs ? stats : null;
+  }
+  
+  return isProcessAlive(pid) ? null : stats;
+}
+
+/**
+ * Breaks a stale lock without a window for deleting a fresh one: the lock
+ * is first renamed to a name of our own, so no other waiter can touch it,
+ * and only unlinked if it is still the file judged stale (same inode and
+ * mtime). A fresh lock taken by mistake is linked back into place.
+ * 
+ * @param {string} lockPath
+ * @param {fs.Stats} stale - Stats from findStaleLock
+ */
+function breakStaleLock(lockPath, stale) {
+  const brokenPath = `${lockPath}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.broken`;
+  try {
+    fs.renameSync(lockPath, brokenPath);
+  } catch {
+    return; // Another process broke it first
+  }
+  
+  try {
+    const moved = fs.statSync(brokenPath);
+    if (moved.ino !== stale.ino || moved.dev !== stale.dev || moved.mtimeMs !== stale.mtimeMs) {
+      // The stale lock was already gone and this is a live holder's
+      fs.linkSync(brokenPath, lockPath);
+    }
+  } catch {
+    // Lock path taken again meanwhile; nothing more to restore
+  }
+  
+  try {
+    fs.unlinkSync(brokenPath);
+  } catch {
+    // Nothing left to clean up
+  }
+}
+
+/**
+ * Runs fn while holding an advisory lock file, created exclusively
+ * next to the data it protects. Waits for other holders; a lock left by a
+ * dead process, or an ownerless lock file older than staleMs, is broken.
+ * 
+ * @template T
+ * @param {string} lockPath - Lock file path
+ * @param {function(): T} fn - Critical section
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=10000] - Give up waiting after this
+ * @param {number} [options.staleMs=60000] - Break lock files naming no owner once older than this
+ * @returns {T|{success: false, error: string}} fn's result, or an error if the lock was not acquired
+ */
+export function withFileLock(lockPath, fn, options = {}) {
+  const { timeoutMs = 10000, staleMs = 60000 } = options;
+  const absolutePath = path.resolve(lockPath);
+  const deadline = Date.now() + timeoutMs;
+  let fd = null;
+  
+  while (fd === null) {
+    try {
+      fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+      fd = fs.openSync(absolutePath, 'wx');
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        return { success: false, error: `Could not create lock ${absolutePath}: ${err.message}` };
+      }
+      const stale = findStaleLock(absolutePath, staleMs);
+      if (stale) {
+        breakStaleLock(absolutePath, stale);
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        return { success: false, error: `Timed out waiting for lock ${absolutePath} (held by another arcl process)` };
+      }
+      sleepSync(25 + Math.floor(Math.random() * 25));
+    }
+  }
+  
+  try {
+    try {
+      fs.writeFileSync(fd, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+    } finally {
+      fs.closeSync(fd);
+    }
+    return fn();
+  } finally {
+    try {
+      fs.unlinkSync(absolutePath);
+    } catch {
+      // Already broken as stale by another process
+    }
+  }
+}
+
 /**
  * Checks if a file exists.
  * 
@@ -155,9 +867,23 @@ export function removeDir(dirPath) {
 }
 
 export default {
+  DEFAULT_FORMAT,
+  setFormatPolicy,
+  detectFormat,
+  getFileFormat,
+  checkLineEndings,
+  DEFAULT_FILE_LIMITS,
+  setLimitsPolicy,
+  classifyFile,
   readFileUTF8,
   writeFileUTF8,
   copyFileUTF8,
+  appendFileUTF8,
+  readLinesUTF8,
+  readLinesAtUTF8,
+  readLinesBackwardUTF8,
+  isProcessAlive,
+  withFileLock,
   fileExists,
   deleteFile,
   ensureDir,
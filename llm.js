@@ -14,6 +14,7 @@
  * @property {string} instruction - User's intent/instruction
  * @property {string} [feedbackContext] - Previous failure feedback (Phase 2)
  * @property {Object[]} [additionalFiles] - Additional file contexts (Phase 2)
+ * @property {boolean} [isNewFile] - Expect a diff that creates the file (--- /dev/null)
  */
 
 /**
@@ -21,6 +22,9 @@
  * @property {boolean} success - Whether the LLM call succeeded
  * @property {string|null} diff - Unified diff output (null on failure)
  * @property {string|null} error - Error message (null on success)
+ * @property {string} [provider] - Provider that answered ('mock' without one)
+ * @property {string|null} [model] - Model that answered
+ * @property {{input_tokens: number, output_tokens: number}|null} [usage] - Tokens used, summed over retries
  */
 
 /**
@@ -34,8 +38,12 @@
 /**
  * @typedef {Object} MultiFileResponse
  * @property {boolean} success - Whether the LLM call succeeded
- * @property {Object[]} diffs - Array of {filePath, diff} objects
+ * @property {Object[]} diffs - Array of {filePath, diff, kind, newPath?} objects; kind is
+ *   modify, create, delete or rename, and newPath is the rename target
  * @property {string|null} error - Error message (null on success)
+ * @property {string} [provider] - Provider that answered ('mock' without one)
+ * @property {string|null} [model] - Model that answered
+ * @property {{input_tokens: number, output_tokens: number}|null} [usage] - Tokens used, summed over retries
  */
 
 /**
@@ -114,7 +122,7 @@ Your primary function is to propose SAFE, REVIEWABLE code changes.
 CORE RULES (NON-NEGOTIABLE):
 
 1. You MUST ONLY propose changes as UNIFIED DIFFS.
-2. You MUST ONLY modify files that already exist.
+2. You MUST ONLY modify files that already exist, unless the intent asks to create, delete, or move files.
 3. You MUST NEVER invent filenames, directories, APIs, or dependencies.
 4. You MUST NEVER rewrite entire files unless explicitly instructed.
 5. You MUST prefer small, localized, reversible edits.
@@ -159,6 +167,17 @@ The runtime applies changes.
 You do not confirm success.
 You do not narrate actions.
 
+MULTI-FILE OUTPUT:
+
+- Output one unified diff per file that needs changes, one after another.
+- Each diff MUST start with its own --- a/<path> and +++ b/<path> headers.
+- Use the exact file paths given in the request. Do not shorten them.
+- Omit files that need no changes.
+- To create a file: --- /dev/null and +++ b/<path>, one @@ -0,0 +1,N @@ hunk adding every line.
+- To delete a file: --- a/<path> and +++ /dev/null, one hunk removing every line.
+- To move a file: diff --git a/<old> b/<new>, then rename from <old> and rename to <new>.
+  Add --- a/<old>, +++ b/<new> and hunks only if the content changes too.
+
 Obey the contract or refuse.
 `;
 
@@ -238,6 +257,7 @@ INPUT:
 - Command history (what was requested)
 - File paths affected
 - User's original instruction
+- The diff that was actually applied, when recorded
 
 OUTPUT:
 - Clear explanation of what the change accomplished
@@ -269,9 +289,23 @@ export async function mockLLM(request) {
   // Simulate network delay
   await new Promise(resolve => setTimeout(resolve, 100));
   
+  // New file: create it with a single line
+  if (request.isNewFile) {
+    const diff = `--- /dev/null
++++ b/${filePath}
+@@ -0,0 +1,1 @@
++// Created by vibe-agent: ${instruction.split('\n')[0].slice(0, 50)}
+`;
+    return { success: true, diff, error: null };
+  }
+  
+  const lines = fileContent.split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  
   // If there's feedback, simulate "fixing" the issue
   if (feedbackContext) {
-    const lines = fileContent.split('\n');
     const diff = `--- a/${filePath}
 +++ b/${filePath}
 @@ -1,${Math.min(lines.length, 3)} +1,${Math.min(lines.length, 3) + 1} @@
@@ -283,7 +317,6 @@ export async function mockLLM(request) {
   
   // Simple mock: if instruction contains "add", append a comment
   if (instruction.toLowerCase().includes('add')) {
-    const lines = fileContent.split('\n');
     const diff = `--- a/${filePath}
 +++ b/${filePath}
 @@ -1,${lines.length} +1,${lines.length + 1} @@
@@ -299,8 +332,8 @@ export async function mockLLM(request) {
     diff: `--- a/${filePath}
 +++ b/${filePath}
 @@ -1,1 +1,1 @@
--${fileContent.split('\n')[0]}
-+${fileContent.split('\n')[0]} // modified by vibe-agent
+-${lines[0]}
++${lines[0]} // modified by vibe-agent
 `,
     error: null
   };
@@ -308,6 +341,7 @@ export async function mockLLM(request) {
 
 // Import provider router
 import { callProvider, getProviderName } from './providers/index.js';
+import { parseFileHeader, normalizeDiffPath, DIFF_KINDS } from './applyDiff.js';
 
 /**
  * Check if any real provider is configured.
@@ -320,10 +354,33 @@ function hasProvider() {
     process.env.GOOGLE_API_KEY ||
     process.env.OPENROUTER_API_KEY ||
     process.env.ANTHROPIC_API_KEY ||
-    process.env.ARCL_PROVIDER === 'local'
+    getProviderName() === 'local'
   );
 }
 
+/** Call info reported when no provider is configured */
+const MOCK_CALL_INFO = { provider: 'mock', model: null, usage: null };
+
+/**
+ * Collects who answered and the tokens spent, over every attempt.
+ * 
+ * @param {...Object} responses - Provider responses, in call order
+ * @returns {{provider: string, model: string|null, usage: Object|null}}
+ */
+function callInfo(...responses) {
+  const last = responses[responses.length - 1];
+  const reported = responses.filter(r => r.usage);
+  
+  return {
+    provider: last.provider || getProviderName(),
+    model: last.model || null,
+    usage: reported.length === 0 ? null : {
+      input_tokens: reported.reduce((sum, r) => sum + r.usage.input_tokens, 0),
+      output_tokens: reported.reduce((sum, r) => sum + r.usage.output_tokens, 0)
+    }
+  };
+}
+
 /**
  * Converts provider response to LLM response format.
  * 
@@ -359,7 +416,7 @@ function toResponse(providerResponse) {
 export async function callLLM(request) {
   if (!hasProvider()) {
     console.error('Warning: No LLM provider configured, using mock');
-    return mockLLM(request);
+    return { ...await mockLLM(request), ...MOCK_CALL_INFO };
   }
 
   const providerName = getProviderName();
@@ -368,18 +425,19 @@ export async function callLLM(request) {
   const response = await callProvider(request);
   
   if (response.type === 'error') {
-    return toResponse(response);
+    return { ...toResponse(response), ...callInfo(response) };
   }
   
   if (response.type === 'no_changes' || response.type === 'refuse') {
-    return toResponse(response);
+    return { ...toResponse(response), ...callInfo(response) };
   }
   
   // Validate the diff
-  const validation = validateDiffFormat(response.content, request.filePath);
+  const kinds = [request.isNewFile ? 'create' : 'modify'];
+  const validation = validateDiffFormat(response.content, request.filePath, { kinds });
   
   if (validation.valid) {
-    return toResponse(response);
+    return { ...toResponse(response), ...callInfo(response) };
   }
   
   // First attempt invalid - retry with feedback
@@ -393,25 +451,26 @@ export async function callLLM(request) {
   const retryResponse = await callProvider(retryRequest);
   
   if (retryResponse.type === 'error') {
-    return toResponse(retryResponse);
+    return { ...toResponse(retryResponse), ...callInfo(response, retryResponse) };
   }
   
   if (retryResponse.type === 'no_changes' || retryResponse.type === 'refuse') {
-    return toResponse(retryResponse);
+    return { ...toResponse(retryResponse), ...callInfo(response, retryResponse) };
   }
   
   // Validate retry
-  const retryValidation = validateDiffFormat(retryResponse.content, request.filePath);
+  const retryValidation = validateDiffFormat(retryResponse.content, request.filePath, { kinds });
   
   if (retryValidation.valid) {
-    return toResponse(retryResponse);
+    return { ...toResponse(retryResponse), ...callInfo(response, retryResponse) };
   }
   
   // Second failure - hard abort
   return {
     success: false,
     diff: null,
-    error: `Provider ${providerName} failed validation twice: ${retryValidation.error}`
+    error: `Provider ${providerName} failed validation twice: ${retryValidation.error}`,
+    ...callInfo(response, retryResponse)
   };
 }
 
@@ -447,7 +506,8 @@ __pycache__/
 *.pyc
 venv/
 .env
-===END===`
+===END===`,
+      ...MOCK_CALL_INFO
     };
   }
 
@@ -467,7 +527,7 @@ venv/
     return { success: false, error: 'Model refused to generate content' };
   }
 
-  return { success: true, content: response.content };
+  return { success: true, content: response.content, ...callInfo(response) };
 }
 
 /**
@@ -485,7 +545,8 @@ export async function callAskLLM({ content, question, path }) {
     // Return mock answer
     return {
       success: true,
-      answer: `[Mock] This is a mock response about "${path}".\n\nThe code appears to be a standard implementation. The user asked: "${question}"\n\nIn a real environment with a configured LLM provider, you would receive a detailed explanation here.`
+      answer: `[Mock] This is a mock response about "${path}".\n\nThe code appears to be a standard implementation. The user asked: "${question}"\n\nIn a real environment with a configured LLM provider, you would receive a detailed explanation here.`,
+      ...MOCK_CALL_INFO
     };
   }
 
@@ -520,7 +581,27 @@ Provide a clear, concise answer:`;
     return { success: false, error: 'Model refused to answer' };
   }
 
-  return { success: true, answer: response.content };
+  return { success: true, answer: response.content, ...callInfo(response) };
+}
+
+/** Diff lines per history entry sent to the model by arcl explain */
+const EXPLAIN_DIFF_MAX_LINES = 300;
+
+/**
+ * Formats an entry's applied diff for the explain prompt, truncated.
+ * 
+ * @param {Object} entry - History entry
+ * @returns {string}
+ */
+function explainDiff(entry) {
+  if (!entry.diff) return '';
+  
+  const lines = entry.diff.split('\n');
+  const shown = lines.slice(0, EXPLAIN_DIFF_MAX_LINES).join('\n');
+  const more = lines.length > EXPLAIN_DIFF_MAX_LINES
+    ? `\n... (${lines.length - EXPLAIN_DIFF_MAX_LINES} more lines)`
+    : '';
+  return `- Applied diff:\n\`\`\`diff\n${shown}${more}\n\`\`\`\n`;
 }
 
 /**
@@ -550,7 +631,7 @@ Change ${i + 1}:
 - Result: ${e.result}
 - Timestamp: ${e.timestamp}
 ${e.error ? `- Error: ${e.error}` : ''}
-`).join('\n');
+${explainDiff(e)}`).join('\n');
 
   const prompt = `${EXPLAIN_PROMPT}
 
@@ -580,20 +661,176 @@ Explain what these changes accomplished and why they were made:`;
 }
 
 /**
- * Multi-file LLM call (not supported in v1).
+ * Builds the user message for a multi-file request.
+ * 
+ * @param {MultiFileRequest} request
+ * @returns {string}
+ */
+function buildMultiFilePrompt(request) {
+  const { intent, files, feedbackContext, planContext } = request;
+  
+  const fileBlocks = files.map(f => `File: ${f.path}
+\`\`\`
+${f.content}
+\`\`\``).join('\n\n');
+  
+  let message = `${fileBlocks}
+
+Intent: ${intent}`;
+
+  if (planContext) {
+    message += `\n\nPlan:\n${planContext}`;
+  }
+
+  message += `\n\nRespond with ONLY unified diffs, one per file that needs changes. Use the exact file paths above in the headers. No explanations.`;
+
+  if (feedbackContext) {
+    message += `\n\nPrevious attempt failed: ${feedbackContext}\nTry again, fixing the issue.`;
+  }
+
+  return message;
+}
+
+/**
+ * Splits provider output into per-file diffs and matches each one
+ * to a requested file. Every section must be a valid single-file diff.
+ * New files need not be in the request; anything else must be.
+ * 
+ * @param {string} output - Raw provider output
+ * @param {Object[]} files - Requested {path, content} objects
+ * @returns {{valid: boolean, diffs: Object[], error: string|null}}
+ */
+function matchMultiFileDiffs(output, files) {
+  const sections = splitMultiFileDiff(output);
+  
+  if (sections.length === 0) {
+    return { valid: false, diffs: [], error: 'Missing unified diff headers (--- and +++)' };
+  }
+  
+  const diffs = [];
+  const seen = new Set();
+  
+  for (const section of sections) {
+    if (!section.kind) {
+      const validation = validateDiffFormat(section.diff, null, { kinds: DIFF_KINDS });
+      return { valid: false, diffs: [], error: validation.error };
+    }
+    
+    let filePath;
+    
+    if (section.kind === 'create') {
+      if (files.some(f => normalizeDiffPath(f.path) === section.newPath)) {
+        return { valid: false, diffs: [], error: `Cannot create ${section.newPath}: it already exists` };
+      }
+      filePath = section.newPath;
+    } else {
+      // A bare file name only counts if exactly one provided file has it
+      const baseName = section.oldPath.split('/').pop();
+      const sameName = files.filter(f => normalizeDiffPath(f.path).split('/').pop() === baseName);
+      const file = files.find(f => normalizeDiffPath(f.path) === section.oldPath) ||
+        (sameName.length === 1 ? sameName[0] : null);
+      
+      if (!file) {
+        return { valid: false, diffs: [], error: `Diff targets a file that was not provided: ${section.oldPath}` };
+      }
+      filePath = file.path;
+    }
+    
+    if (seen.has(filePath)) {
+      return { valid: false, diffs: [], error: `More than one diff for ${filePath}` };
+    }
+    seen.add(filePath);
+    
+    const validation = validateDiffFormat(section.diff, filePath, { kinds: DIFF_KINDS });
+    if (!validation.valid) {
+      return { valid: false, diffs: [], error: `${filePath}: ${validation.error}` };
+    }
+    
+    const entry = { filePath, diff: section.diff, kind: section.kind };
+    if (section.kind === 'rename') {
+      entry.newPath = section.newPath;
+    }
+    diffs.push(entry);
+  }
+  
+  return { valid: true, diffs, error: null };
+}
+
+/**
+ * Multi-file LLM call with retry logic.
+ * 
+ * The model returns one unified diff per file. Each diff is validated
+ * individually; one invalid diff fails the whole response, triggering
+ * the same single retry as callLLM.
  * 
  * @param {MultiFileRequest} request
  * @returns {Promise<MultiFileResponse>}
  */
 export async function callMultiFileLLM(request) {
-  if (hasProvider()) {
-    return {
-      success: false,
-      diffs: [],
-      error: 'Multi-file edits not supported in v1. Use single-file mode.'
-    };
+  if (!hasProvider()) {
+    console.error('Warning: No LLM provider configured, using mock');
+    return { ...await mockMultiFileLLM(request), ...MOCK_CALL_INFO };
+  }
+
+  const providerName = getProviderName();
+  
+  const toProviderRequest = (req) => ({
+    fileContent: req.files.map(f => f.content).join('\n'),
+    filePath: req.files.map(f => f.path).join(', '),
+    instruction: req.intent,
+    isMultiFile: true,
+    multiFilePrompt: buildMultiFilePrompt(req),
+    files: req.files.map(f => ({ path: f.path, content: f.content }))
+  });
+  
+  // First attempt
+  const response = await callProvider(toProviderRequest(request));
+  
+  if (response.type === 'no_changes') {
+    return { success: true, diffs: [], error: null, ...callInfo(response) };
+  }
+  
+  if (response.type !== 'diff') {
+    const { error } = toResponse(response);
+    return { success: false, diffs: [], error, ...callInfo(response) };
+  }
+  
+  const matched = matchMultiFileDiffs(response.content, request.files);
+  
+  if (matched.valid) {
+    return { success: true, diffs: matched.diffs, error: null, ...callInfo(response) };
+  }
+  
+  // First attempt invalid - retry with feedback
+  console.error(`[${providerName}] Invalid output, retrying...`);
+  
+  const retryResponse = await callProvider(toProviderRequest({
+    ...request,
+    feedbackContext: `Your previous output was invalid: ${matched.error}. Output ONLY valid unified diffs, one per file.`
+  }));
+  
+  if (retryResponse.type === 'no_changes') {
+    return { success: true, diffs: [], error: null, ...callInfo(response, retryResponse) };
   }
-  return mockMultiFileLLM(request);
+  
+  if (retryResponse.type !== 'diff') {
+    const { error } = toResponse(retryResponse);
+    return { success: false, diffs: [], error, ...callInfo(response, retryResponse) };
+  }
+  
+  const retryMatched = matchMultiFileDiffs(retryResponse.content, request.files);
+  
+  if (retryMatched.valid) {
+    return { success: true, diffs: retryMatched.diffs, error: null, ...callInfo(response, retryResponse) };
+  }
+  
+  // Second failure - hard abort
+  return {
+    success: false,
+    diffs: [],
+    error: `Provider ${providerName} failed validation twice: ${retryMatched.error}`,
+    ...callInfo(response, retryResponse)
+  };
 }
 
 /**
@@ -612,6 +849,9 @@ export async function mockMultiFileLLM(request) {
   
   for (const file of files) {
     const lines = file.content.split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
     const baseName = file.path.split(/[/\\]/).pop();
     
     let comment = `// Modified by vibe-agent: ${intent.slice(0, 30)}`;
@@ -621,6 +861,7 @@ export async function mockMultiFileLLM(request) {
     
     diffs.push({
       filePath: file.path,
+      kind: 'modify',
       diff: `--- a/${baseName}
 +++ b/${baseName}
 @@ -1,${Math.min(lines.length, 2)} +1,${Math.min(lines.length, 2) + 1} @@
@@ -633,22 +874,79 @@ export async function mockMultiFileLLM(request) {
   return { success: true, diffs, error: null };
 }
 
+/**
+ * git extended header lines that may sit between "diff --git" and "---".
+ */
+const GIT_EXTENDED_HEADER = /^(old mode|new mode|deleted file mode|new file mode|similarity index|dissimilarity index|rename from|rename to|copy from|copy to|index) /;
+
+/**
+ * Splits a combined unified diff into single-file sections.
+ * A section starts at a "diff --git" line, or at a "--- " line
+ * immediately followed by a "+++ " line that does not belong to the
+ * git header just above it.
+ * 
+ * @param {string} diff - Combined diff text
+ * @returns {Array<{oldPath: string|null, newPath: string|null, kind: string|null, diff: string}>}
+ *   kind and paths come from parseFileHeader; kind is null if the headers are invalid
+ */
+export function splitMultiFileDiff(diff) {
+  if (!diff || typeof diff !== 'string') return [];
+  
+  const lines = diff.split('\n');
+  const sections = [];
+  let current = null;
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const isGitHeader = line.startsWith('diff --git ');
+    const isFileHeader = line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ');
+    
+    if (isGitHeader || (isFileHeader && !current?.inGitHeader)) {
+      if (current) sections.push(current);
+      current = { lines: [line], inGitHeader: isGitHeader };
+      continue;
+    }
+    
+    if (current) {
+      if (current.inGitHeader && !GIT_EXTENDED_HEADER.test(line)) {
+        current.inGitHeader = false;
+      }
+      current.lines.push(line);
+    }
+  }
+  if (current) sections.push(current);
+  
+  return sections.map(({ lines: sectionLines }) => {
+    let text = sectionLines.join('\n');
+    if (!text.endsWith('\n')) text += '\n';
+    
+    const headerResult = parseFileHeader(text);
+    if (!headerResult.success) {
+      return { oldPath: null, newPath: null, kind: null, diff: text };
+    }
+    return { ...headerResult.header, diff: text };
+  });
+}
+
 /**
  * Validates that a string is a proper unified diff.
  * 
  * Strict validation rules (v1):
  * - Exactly one file per diff
  * - Headers must match target file
+ * - Only the listed kinds of diff (modify by default); create and
+ *   delete diffs may only add or only remove lines
  * - Reject full-file rewrites unless explicitly allowed
  * 
  * @param {string} diff - The diff to validate
  * @param {string} [targetFile] - Expected target filename (for header matching)
  * @param {Object} [options] - Validation options
  * @param {boolean} [options.allowFullRewrite=false] - Allow diffs that replace all content
+ * @param {string[]} [options.kinds=['modify']] - Accepted kinds: modify, create, delete, rename
  * @returns {{valid: boolean, error: string|null}}
  */
 export function validateDiffFormat(diff, targetFile = null, options = {}) {
-  const { allowFullRewrite = false } = options;
+  const { allowFullRewrite = false, kinds = ['modify'] } = options;
   
   if (!diff || typeof diff !== 'string') {
     return { valid: false, error: 'Diff is empty or not a string' };
@@ -670,64 +968,59 @@ export function validateDiffFormat(diff, targetFile = null, options = {}) {
     return { valid: false, error: trimmed };
   }
   
-  // Must contain unified diff markers
-  if (!diff.includes('---') || !diff.includes('+++')) {
-    return { valid: false, error: 'Missing unified diff headers (--- and +++)' };
-  }
-  
-  // Must contain at least one valid hunk header
-  // Format: @@ -start,count +start,count @@ or @@ -start +start @@
-  const hunkHeaderPattern = /@@ -\d+(?:,\d+)? \+\d+(?:,\d+)? @@/;
-  if (!hunkHeaderPattern.test(diff)) {
-    return { valid: false, error: 'Invalid or missing hunk header (expected @@ -N,N +N,N @@)' };
-  }
-  
-  // Extract file headers
-  const lines = diff.split('\n');
-  const minusHeaders = lines.filter(l => l.startsWith('--- '));
-  const plusHeaders = lines.filter(l => l.startsWith('+++ '));
-  
   // v1: Exactly one file per diff
-  if (minusHeaders.length !== 1 || plusHeaders.length !== 1) {
+  const sections = splitMultiFileDiff(diff);
+  if (sections.length > 1) {
     return { 
       valid: false, 
-      error: `Invalid diff: expected exactly 1 file, found ${minusHeaders.length} --- headers and ${plusHeaders.length} +++ headers` 
+      error: `Invalid diff: expected exactly 1 file, found ${sections.length}` 
     };
   }
   
-  // Extract filenames from headers (handle "--- a/file.js" or "--- file.js")
-  const extractFilename = (header) => {
-    const parts = header.split(/\s+/);
-    if (parts.length < 2) return null;
-    let filename = parts[1];
-    // Strip a/ or b/ prefix
-    if (filename.startsWith('a/') || filename.startsWith('b/')) {
-      filename = filename.slice(2);
-    }
-    return filename;
-  };
-  
-  const minusFile = extractFilename(minusHeaders[0]);
-  const plusFile = extractFilename(plusHeaders[0]);
+  // --- / +++ headers, /dev/null, rename from / rename to
+  const headerResult = parseFileHeader(diff);
+  if (!headerResult.success) {
+    return { valid: false, error: headerResult.error };
+  }
+  const { kind, oldPath, newPath } = headerResult.header;
   
-  if (!minusFile || !plusFile) {
-    return { valid: false, error: 'Could not parse filenames from diff headers' };
+  if (!kinds.includes(kind)) {
+    return { valid: false, error: `Diff would ${kind} ${oldPath || newPath}; only ${kinds.join('/')} diffs are allowed here` };
   }
   
-  // Headers must refer to the same file (no renames in v1)
-  if (minusFile !== plusFile) {
-    return { valid: false, error: `Diff headers mismatch: --- ${minusFile} vs +++ ${plusFile}` };
+  // Must contain at least one valid hunk header (a pure rename has none)
+  // Format: @@ -start,count +start,count @@ or @@ -start +start @@
+  const lines = diff.split('\n');
+  const hunkHeaderPattern = /@@ -\d+(?:,\d+)? \+\d+(?:,\d+)? @@/;
+  const pureRename = kind === 'rename' && !lines.some(l => l.startsWith('@@'));
+  if (!pureRename && !hunkHeaderPattern.test(diff)) {
+    return { valid: false, error: 'Invalid or missing hunk header (expected @@ -N,N +N,N @@)' };
   }
   
-  // If target file specified, headers must match
+  // If target file specified, headers must match (by basename, so
+  // both "main.py" and "src/main.py" headers are accepted)
   if (targetFile) {
     const targetBasename = targetFile.split(/[/\\]/).pop();
-    if (minusFile !== targetBasename && plusFile !== targetBasename) {
+    const headerBasenames = [oldPath, newPath].filter(Boolean).map(p => p.split('/').pop());
+    if (!headerBasenames.includes(targetBasename)) {
+      return { 
+        valid: false, 
+        error: `Diff target mismatch: expected ${targetBasename}, got ${oldPath || newPath}` 
+      };
+    }
+  }
+  
+  // New files only gain lines; deleted files only lose them
+  if (kind === 'create' || kind === 'delete') {
+    const body = lines.slice(lines.findIndex(l => l.startsWith('@@')));
+    const forbidden = kind === 'create' ? /^[ -]/ : /^[ +]/;
+    if (body.some(l => !l.startsWith('@@') && forbidden.test(l))) {
       return { 
         valid: false, 
-        error: `Diff target mismatch: expected ${targetBasename}, got ${minusFile}` 
+        error: kind === 'create' ? 'New-file diff may only add lines' : 'Delete diff may only remove lines' 
       };
     }
+    return { valid: true, error: null };
   }
   
   // Detect full-file rewrite: all lines removed, or more deletions than reasonable
@@ -765,4 +1058,4 @@ export function validateDiffFormat(diff, targetFile = null, options = {}) {
   return { valid: true, error: null };
 }
 
-export default { callLLM, mockLLM, validateDiffFormat, SYSTEM_PROMPT };
+export default { callLLM, callMultiFileLLM, mockLLM, validateDiffFormat, splitMultiFileDiff, SYSTEM_PROMPT };
@@ -8,6 +8,7 @@
 import fs from 'fs';
 import path from 'path';
 import { log } from './logger.js';
+import { readFileUTF8, classifyFile } from './io.js';
 
 /**
  * @typedef {Object} FileEdit
@@ -65,12 +66,18 @@ export async function gatherProjectContext(rootDir, targetFiles = []) {
       : path.join(context.rootDir, filePath);
     
     if (fs.existsSync(absPath)) {
-      try {
-        const content = fs.readFileSync(absPath, 'utf8');
+      const fileClass = classifyFile(absPath);
+      if (!fileClass.ok) {
+        log('WARN', `Skipped ${filePath}: ${fileClass.reason}`);
+        continue;
+      }
+      
+      const readResult = readFileUTF8(absPath);
+      if (readResult.success) {
         context.files.push(absPath);
-        context.contents.set(absPath, content);
-      } catch (err) {
-        log('WARN', `Failed to read ${filePath}: ${err.message}`);
+        context.contents.set(absPath, readResult.content);
+      } else {
+        log('WARN', `Failed to read ${filePath}: ${readResult.error}`);
       }
     } else {
       log('WARN', `File not found: ${filePath}`);
@@ -5,7 +5,7 @@
  * No tools, no function calling.
  */
 
-import { SYSTEM_PROMPT, SCAFFOLD_PROMPT, ASK_PROMPT } from '../llm.js';
+import { SYSTEM_PROMPT, MULTI_FILE_SYSTEM_PROMPT, SCAFFOLD_PROMPT, ASK_PROMPT } from '../llm.js';
 
 /** Gemini API endpoint */
 const API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
@@ -26,6 +26,8 @@ const DEFAULT_MODEL = 'gemini-2.5-flash';
  * @property {'diff'|'no_changes'|'refuse'|'error'} type
  * @property {string} [content] - Diff content (if type === 'diff')
  * @property {string} [error] - Error message (if type === 'error')
+ * @property {string} [model] - Model that answered
+ * @property {{input_tokens: number, output_tokens: number}|null} [usage] - Token usage, if reported
  */
 
 /**
@@ -86,6 +88,9 @@ export async function callGemini(request) {
   } else if (request.isAsk) {
     systemPrompt = ASK_PROMPT;
     userMessage = request.askPrompt || `Question about ${request.filePath}: ${request.instruction}`;
+  } else if (request.isMultiFile) {
+    systemPrompt = MULTI_FILE_SYSTEM_PROMPT;
+    userMessage = request.multiFilePrompt;
   } else {
     userMessage = buildUserMessage(request);
   }
@@ -122,6 +127,13 @@ export async function callGemini(request) {
     }
 
     const data = await response.json();
+    const meta = {
+      model: data.modelVersion || DEFAULT_MODEL,
+      usage: data.usageMetadata ? {
+        input_tokens: data.usageMetadata.promptTokenCount || 0,
+        output_tokens: data.usageMetadata.candidatesTokenCount || 0
+      } : null
+    };
 
     // Extract text from response
     const text = data.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
@@ -135,25 +147,27 @@ export async function callGemini(request) {
 
     // Classify output
     if (text === 'NO_CHANGES') {
-      return { type: 'no_changes' };
+      return { type: 'no_changes', ...meta };
     }
 
     if (text === 'REFUSE') {
-      return { type: 'refuse' };
+      return { type: 'refuse', ...meta };
     }
 
     // For scaffold and ask modes, return content directly
     if (request.isScaffold || request.isAsk) {
       return {
         type: 'diff', // Reusing type for simplicity
-        content: text
+        content: text,
+        ...meta
       };
     }
 
     // Assume diff (validation happens centrally)
     return {
       type: 'diff',
-      content: text
+      content: text,
+      ...meta
     };
 
   } catch (err) {
@@ -2,7 +2,8 @@
  * Provider Router (v2.3)
  * 
  * Routes LLM requests to the selected provider.
- * Provider selection via ARCL_PROVIDER environment variable.
+ * Provider selection via the `provider` setting (config.js), which
+ * ARCL_PROVIDER and --config provider=<name> override.
  * 
  * Features:
  * - Health checks
@@ -13,8 +14,12 @@
  * - gemini (default)
  * - openrouter
  * - local
+ * 
+ * Secrets in a request are redacted before it reaches any provider and
+ * restored in the response (see secrets.js).
  */
 
+import { redactSecrets, restoreSecrets } from '../secrets.js';
 import { callGemini } from './gemini.js';
 import { callOpenRouter } from './openrouter.js';
 import { callLocal } from './local.js';
@@ -31,6 +36,10 @@ const FALLBACK_ORDER = ['gemini', 'openrouter', 'local'];
  * @property {string} fileContent - File content
  * @property {string} instruction - Edit instruction
  * @property {string} [feedbackContext] - Retry context
+ * @property {boolean} [isMultiFile] - Multi-file change mode
+ * @property {string} [multiFilePrompt] - Prebuilt multi-file user message
+ * @property {Array<{path: string, content: string}>} [files] - Multi-file mode: each file on its own,
+ *   so its secrets are found with the rules for its path; never sent to the provider
  */
 
 /**
@@ -38,7 +47,30 @@ const FALLBACK_ORDER = ['gemini', 'openrouter', 'local'];
  * @property {'diff'|'no_changes'|'refuse'|'error'} type
  * @property {string} [content] - Diff content (if type === 'diff')
  * @property {string} [error] - Error message (if type === 'error')
+ * @property {string} provider - Provider that answered (differs from the selected one after fallback)
+ * @property {string} [model] - Model that answered
+ * @property {{input_tokens: number, output_tokens: number}|null} [usage] - Token usage, if reported
+ */
+
+/**
+ * @typedef {Object} ProviderSettings
+ * @property {string} provider - Selected provider
+ * @property {string|null} model - OpenRouter model
+ * @property {string|null} local_url - Local provider endpoint
+ * @property {string|null} local_model - Local provider model
+ */
+
+/** @type {ProviderSettings} */
+let providerSettings = { provider: DEFAULT_PROVIDER, model: null, local_url: null, local_model: null };
+
+/**
+ * Sets the provider settings (see config.js getProviderSettings).
+ * 
+ * @param {Partial<ProviderSettings>} settings
  */
+export function setProviderSettings(settings) {
+  providerSettings = { ...providerSettings, ...settings };
+}
 
 /**
  * Provider registry.
@@ -73,7 +105,24 @@ export function isProviderAvailable(providerName) {
  * @returns {string}
  */
 export function getProviderName() {
-  return process.env.ARCL_PROVIDER || DEFAULT_PROVIDER;
+  return providerSettings.provider || DEFAULT_PROVIDER;
+}
+
+/**
+ * Gets the per-call options a provider takes from the settings.
+ * 
+ * @param {string} providerName
+ * @returns {{model?: string|null, url?: string|null}}
+ */
+function providerOptions(providerName) {
+  switch (providerName) {
+    case 'openrouter':
+      return { model: providerSettings.model };
+    case 'local':
+      return { url: providerSettings.local_url, model: providerSettings.local_model };
+    default:
+      return {};
+  }
 }
 
 /**
@@ -112,8 +161,26 @@ export async function callProvider(request) {
     };
   }
 
+  // Nothing that looks like a credential leaves the machine
+  // Each file's secrets are found with its own path (env-file applies to
+  // .env files only); the shared map then redacts them in every field
+  const redactions = new Map();
+  const { files = [], ...fields } = request;
+  for (const file of files) {
+    redactSecrets(file.content, redactions, file.path);
+  }
+  const outgoing = Object.fromEntries(Object.entries(fields).map(([key, value]) =>
+    [key, typeof value === 'string' ? redactSecrets(value, redactions, request.filePath) : value]));
+  if (redactions.size > 0) {
+    const rules = [...new Set([...redactions.values()].map(r => r.rule))];
+    console.error(`Warning: Redacted ${redactions.size} secret(s) (${rules.join(', ')}) before sending to ${providerName}`);
+  }
+  const restore = (response) => response.content
+    ? { ...response, content: restoreSecrets(response.content, redactions) }
+    : response;
+
   // Try primary provider
-  const response = await provider(request);
+  const response = await provider(outgoing, providerOptions(providerName));
   
   // Check for transient errors that warrant fallback
   if (response.type === 'error' && shouldFallback(response.error)) {
@@ -122,11 +189,11 @@ export async function callProvider(request) {
     if (fallback) {
       console.error(`Warning: ${providerName} unavailable, falling back to ${fallback}`);
       const fallbackProvider = PROVIDERS[fallback];
-      return fallbackProvider(request);
+      return restore({ ...await fallbackProvider(outgoing, providerOptions(fallback)), provider: fallback });
     }
   }
   
-  return response;
+  return restore({ ...response, provider: providerName });
 }
 
 /**
@@ -180,6 +247,7 @@ export function listProviders() {
 
 export default { 
   callProvider, 
+  setProviderSettings,
   getProviderName, 
   listProviders, 
   isProviderAvailable,
@@ -5,7 +5,7 @@
  * Requires explicit user setup.
  */
 
-import { SYSTEM_PROMPT } from '../llm.js';
+import { SYSTEM_PROMPT, MULTI_FILE_SYSTEM_PROMPT } from '../llm.js';
 
 /** Default Ollama endpoint */
 const DEFAULT_URL = 'http://localhost:11434/api/generate';
@@ -26,22 +26,26 @@ const DEFAULT_MODEL = 'codellama';
  * @property {'diff'|'no_changes'|'refuse'|'error'} type
  * @property {string} [content] - Diff content (if type === 'diff')
  * @property {string} [error] - Error message (if type === 'error')
+ * @property {string} [model] - Model that answered
+ * @property {{input_tokens: number, output_tokens: number}|null} [usage] - Token usage, if reported
  */
 
 /**
- * Gets endpoint URL from environment.
+ * Gets endpoint URL from the local_url setting.
+ * @param {{url?: string|null}} options
  * @returns {string}
  */
-function getEndpoint() {
-  return process.env.ARCL_LOCAL_URL || DEFAULT_URL;
+function getEndpoint(options) {
+  return options.url || DEFAULT_URL;
 }
 
 /**
- * Gets model from environment.
+ * Gets model from the local_model setting.
+ * @param {{model?: string|null}} options
  * @returns {string}
  */
-function getModel() {
-  return process.env.ARCL_LOCAL_MODEL || DEFAULT_MODEL;
+function getModel(options) {
+  return options.model || DEFAULT_MODEL;
 }
 
 /**
@@ -50,7 +54,7 @@ function getModel() {
  * @returns {string}
  */
 function buildPrompt(request) {
-  const { fileContent, filePath, instruction, feedbackContext, isScaffold, isAsk, askPrompt } = request;
+  const { fileContent, filePath, instruction, feedbackContext, isScaffold, isAsk, askPrompt, isMultiFile, multiFilePrompt } = request;
   
   // Use ask prompt for read-only mode
   if (isAsk) {
@@ -81,6 +85,13 @@ ${fileContent}
 Generate content for all requested files now.`;
   }
   
+  // Use multi-file prompt for cross-file changes
+  if (isMultiFile) {
+    return `${MULTI_FILE_SYSTEM_PROMPT}
+
+${multiFilePrompt}`;
+  }
+  
   let message = `${SYSTEM_PROMPT}
 
 File: ${filePath}
@@ -103,11 +114,12 @@ Respond with ONLY a unified diff. No explanations.`;
  * Calls local Ollama API.
  * 
  * @param {ProviderRequest} request
+ * @param {{url?: string|null, model?: string|null}} [options] - local_url and local_model settings
  * @returns {Promise<ProviderResponse>}
  */
-export async function callLocal(request) {
-  const endpoint = getEndpoint();
-  const model = getModel();
+export async function callLocal(request, options = {}) {
+  const endpoint = getEndpoint(options);
+  const model = getModel(options);
   const prompt = buildPrompt(request);
 
   const body = {
@@ -136,6 +148,13 @@ export async function callLocal(request) {
     }
 
     const data = await response.json();
+    const meta = {
+      model: data.model || model,
+      usage: data.eval_count !== undefined ? {
+        input_tokens: data.prompt_eval_count || 0,
+        output_tokens: data.eval_count
+      } : null
+    };
 
     // Extract text from Ollama response
     const text = data.response?.trim();
@@ -149,25 +168,27 @@ export async function callLocal(request) {
 
     // Classify output
     if (text === 'NO_CHANGES') {
-      return { type: 'no_changes' };
+      return { type: 'no_changes', ...meta };
     }
 
     if (text === 'REFUSE') {
-      return { type: 'refuse' };
+      return { type: 'refuse', ...meta };
     }
 
     // For scaffold and ask modes, return content directly
     if (request.isScaffold || request.isAsk) {
       return {
         type: 'diff',
-        content: text
+        content: text,
+        ...meta
       };
     }
 
     // Assume diff (validation happens centrally)
     return {
       type: 'diff',
-      content: text
+      content: text,
+      ...meta
     };
 
   } catch (err) {
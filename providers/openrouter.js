@@ -4,7 +4,7 @@
  * Multi-model gateway. Single API key, multiple models.
  */
 
-import { SYSTEM_PROMPT, SCAFFOLD_PROMPT, ASK_PROMPT } from '../llm.js';
+import { SYSTEM_PROMPT, MULTI_FILE_SYSTEM_PROMPT, SCAFFOLD_PROMPT, ASK_PROMPT } from '../llm.js';
 
 /** OpenRouter API endpoint */
 const API_URL = 'https://openrouter.ai/api/v1/chat/completions';
@@ -25,6 +25,8 @@ const DEFAULT_MODEL = 'anthropic/claude-3.5-sonnet';
  * @property {'diff'|'no_changes'|'refuse'|'error'} type
  * @property {string} [content] - Diff content (if type === 'diff')
  * @property {string} [error] - Error message (if type === 'error')
+ * @property {string} [model] - Model that answered
+ * @property {{input_tokens: number, output_tokens: number}|null} [usage] - Token usage, if reported
  */
 
 /**
@@ -36,11 +38,12 @@ function getApiKey() {
 }
 
 /**
- * Gets model from environment or uses default.
+ * Gets model from the model setting or uses default.
+ * @param {{model?: string|null}} options
  * @returns {string}
  */
-function getModel() {
-  return process.env.ARCL_MODEL || DEFAULT_MODEL;
+function getModel(options) {
+  return options.model || DEFAULT_MODEL;
 }
 
 /**
@@ -71,9 +74,10 @@ Respond with ONLY a unified diff. No explanations.`;
  * Calls OpenRouter API.
  * 
  * @param {ProviderRequest} request
+ * @param {{model?: string|null}} [options] - model setting
  * @returns {Promise<ProviderResponse>}
  */
-export async function callOpenRouter(request) {
+export async function callOpenRouter(request, options = {}) {
   const apiKey = getApiKey();
   
   if (!apiKey) {
@@ -93,11 +97,14 @@ export async function callOpenRouter(request) {
   } else if (request.isAsk) {
     systemPrompt = ASK_PROMPT;
     userMessage = request.askPrompt || `Question about ${request.filePath}: ${request.instruction}`;
+  } else if (request.isMultiFile) {
+    systemPrompt = MULTI_FILE_SYSTEM_PROMPT;
+    userMessage = request.multiFilePrompt;
   } else {
     userMessage = buildUserMessage(request);
   }
   
-  const model = getModel();
+  const model = getModel(options);
 
   const body = {
     model,
@@ -130,6 +137,13 @@ export async function callOpenRouter(request) {
     }
 
     const data = await response.json();
+    const meta = {
+      model: data.model || model,
+      usage: data.usage ? {
+        input_tokens: data.usage.prompt_tokens || 0,
+        output_tokens: data.usage.completion_tokens || 0
+      } : null
+    };
 
     // Extract text from response
     const text = data.choices?.[0]?.message?.content?.trim();
@@ -143,25 +157,27 @@ export async function callOpenRouter(request) {
 
     // Classify output
     if (text === 'NO_CHANGES') {
-      return { type: 'no_changes' };
+      return { type: 'no_changes', ...meta };
     }
 
     if (text === 'REFUSE') {
-      return { type: 'refuse' };
+      return { type: 'refuse', ...meta };
     }
 
     // For scaffold and ask modes, return content directly
     if (request.isScaffold || request.isAsk) {
       return {
         type: 'diff',
-        content: text
+        content: text,
+        ...meta
       };
     }
 
     // Assume diff (validation happens centrally)
     return {
       type: 'diff',
-      content: text
+      content: text,
+      ...meta
     };
 
   } catch (err) {
@@ -0,0 +1,314 @@
+/**
+ * History Report Module
+ * 
+ * Summaries and exports of history entries for team reviews.
+ * 
+ * Stats: results per provider (success and reject rates, tokens),
+ * commands, and the files changed most often.
+ * 
+ * Exports: JSON, CSV or Markdown. Every export carries the chain head
+ * of the full history (see history.js), so a copy kept elsewhere can
+ * later be checked with `arcl history verify <head>`.
+ */
+
+import path from 'path';
+import { getDefaultWorkspaceRoot } from './workspace.js';
+
+/** Providers that are not an LLM (remove, undo, rollback) */
+const NON_LLM_PROVIDERS = ['none'];
+
+/** Files listed in "most changed" */
+const TOP_FILES = 10;
+
+/**
+ * @typedef {Object} ProviderStats
+ * @property {string} provider
+ * @property {number} total - Entries, dry runs included
+ * @property {number} success
+ * @property {number} partial
+ * @property {number} rejected
+ * @property {number} failed
+ * @property {number} dryRun
+ * @property {number} successRate - success / (total - dryRun), 0..1
+ * @property {number} rejectRate - rejected / (total - dryRun), 0..1
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ */
+
+/**
+ * @typedef {Object} HistoryStats
+ * @property {number} total - Entries counted
+ * @property {string|null} first - Oldest timestamp
+ * @property {string|null} last - Newest timestamp
+ * @property {Object<string, number>} commands - Entries per command
+ * @property {ProviderStats[]} providers - Most used first
+ * @property {Array<{file: string, changes: number}>} files - Most changed first
+ */
+
+/**
+ * @typedef {Object} ChainHead
+ * @property {string|null} hash
+ * @property {string|null} id
+ * @property {string|null} timestamp
+ */
+
+/**
+ * Shows a history path relative to the workspace root.
+ * 
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function displayPath(filePath) {
+  const relative = path.relative(getDefaultWorkspaceRoot(), path.resolve(filePath));
+  return relative.startsWith('..') ? filePath : relative.split(path.sep).join('/');
+}
+
+/**
+ * Lists the files an entry actually changed. Entries from before change
+ * tracking fall back to their files when they succeeded.
+ * 
+ * @param {Object} entry
+ * @returns {string[]}
+ */
+function changedFiles(entry) {
+  if (Array.isArray(entry.changes)) {
+    return entry.changes.map(c => c.file);
+  }
+  if (entry.command !== 'ask' && (entry.result === 'success' || entry.result === 'partial')) {
+    return entry.files || [];
+  }
+  return [];
+}
+
+/**
+ * Computes stats over history entries.
+ * 
+ * @param {Object[]} entries
+ * @returns {HistoryStats}
+ */
+export function computeStats(entries) {
+  const commands = {};
+  const providers = new Map();
+  const files = new Map();
+  
+  for (const entry of entries) {
+    commands[entry.command] = (commands[entry.command] || 0) + 1;
+    
+    if (!NON_LLM_PROVIDERS.includes(entry.provider)) {
+      const name = entry.provider || 'unknown';
+      if (!providers.has(name)) {
+        providers.set(name, {
+          provider: name, total: 0, success: 0, partial: 0, rejected: 0, failed: 0, dryRun: 0,
+          successRate: 0, rejectRate: 0, inputTokens: 0, outputTokens: 0
+        });
+      }
+      const p = providers.get(name);
+      p.total++;
+      if (entry.result === 'success') p.success++;
+      else if (entry.result === 'partial') p.partial++;
+      else if (entry.result === 'rejected') p.rejected++;
+      else if (entry.result === 'failed') p.failed++;
+      else if (entry.result === 'dry-run') p.dryRun++;
+      p.inputTokens += entry.usage?.input_tokens || 0;
+      p.outputTokens += entry.usage?.output_tokens || 0;
+    }
+    
+    for (const file of new Set(changedFiles(entry))) {
+      const key = displayPath(file);
+      files.set(key, (files.get(key) || 0) + 1);
+    }
+  }
+  
+  for (const p of providers.values()) {
+    const decided = p.total - p.dryRun;
+    p.successRate = decided > 0 ? p.success / decided : 0;
+    p.rejectRate = decided > 0 ? p.rejected / decided : 0;
+  }
+  
+  return {
+    total: entries.length,
+    first: entries.length > 0 ? entries[0].timestamp : null,
+    last: entries.length > 0 ? entries[entries.length - 1].timestamp : null,
+    commands,
+    providers: [...providers.values()].sort((a, b) => b.total - a.total),
+    files: [...files.entries()]
+      .map(([file, changes]) => ({ file, changes }))
+      .sort((a, b) => b.changes - a.changes || a.file.localeCompare(b.file))
+      .slice(0, TOP_FILES)
+  };
+}
+
+/**
+ * Formats a 0..1 rate as a percentage.
+ * 
+ * @param {number} rate
+ * @returns {string}
+ */
+export function formatRate(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Describes a history filter in one line, e.g. for export headers.
+ * 
+ * @param {Object} filter - HistoryFilter
+ * @returns {string} Empty when nothing is filtered
+ */
+export function describeFilter(filter) {
+  const parts = [];
+  for (const key of ['command', 'result', 'provider']) {
+    if (filter[key]) parts.push(`${key}=${filter[key].join(',')}`);
+  }
+  if (filter.file) parts.push(`file=${filter.file}`);
+  if (filter.since) parts.push(`since=${filter.since.toISOString()}`);
+  if (filter.until) parts.push(`until=${filter.until.toISOString()}`);
+  return parts.join(' ');
+}
+
+/**
+ * Quotes a CSV field when it needs it (RFC 4180). Text that a
+ * spreadsheet would run as a formula (=, +, -, @, tab, CR first) gets a
+ * leading apostrophe.
+ * 
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Makes text safe for a Markdown table cell.
+ * 
+ * @param {*} value
+ * @returns {string}
+ */
+function mdCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return text.replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * Exports as JSON: the chain head, the filter and the full entries.
+ * 
+ * @param {Object[]} entries
+ * @param {ChainHead} head
+ * @param {Object} filter
+ * @returns {string}
+ */
+function exportJSON(entries, head, filter) {
+  return JSON.stringify({
+    exported_at: new Date().toISOString(),
+    chain_head: head,
+    filter: describeFilter(filter) || null,
+    entries
+  }, null, 2) + '\n';
+}
+
+/**
+ * Exports as CSV, one row per entry. Diffs are left out; the chain head
+ * goes in its own column, the same on every row, so the file stays
+ * plain RFC 4180.
+ * 
+ * @param {Object[]} entries
+ * @param {ChainHead} head
+ * @returns {string}
+ */
+function exportCSV(entries, head) {
+  const columns = ['id', 'timestamp', 'command', 'result', 'provider', 'model',
+    'input_tokens', 'output_tokens', 'files', 'instruction', 'error', 'hash', 'chain_head'];
+  const rows = entries.map(e => [
+    e.id, e.timestamp, e.command, e.result, e.provider, e.model,
+    e.usage?.input_tokens, e.usage?.output_tokens,
+    (e.files || []).map(displayPath).join(';'),
+    e.instruction, e.error, e.hash, head.hash
+  ].map(csvField).join(','));
+  
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Exports as Markdown for review: a summary, stats and an entry table.
+ * 
+ * @param {Object[]} entries
+ * @param {ChainHead} head
+ * @param {Object} filter
+ * @returns {string}
+ */
+function exportMarkdown(entries, head, filter) {
+  const stats = computeStats(entries);
+  const filterText = describeFilter(filter);
+  const lines = [
+    '# arcl history',
+    '',
+    `- Exported: ${new Date().toISOString()}`,
+    `- Entries: ${stats.total}${stats.first ? ` (${stats.first} to ${stats.last})` : ''}`,
+    `- Filter: ${filterText ? `\`${filterText}\`` : 'none'}`,
+    `- Chain head: ${head.hash ? `\`${head.hash}\` (entry ${head.id || 'without id'})` : 'none'}`,
+    ''
+  ];
+  
+  if (stats.providers.length > 0) {
+    lines.push('## Providers', '',
+      '| Provider | Total | Success | Partial | Rejected | Failed | Success rate | Reject rate | Tokens in/out |',
+      '|----------|------:|--------:|--------:|---------:|-------:|-------------:|------------:|---------------|');
+    for (const p of stats.providers) {
+      lines.push(`| ${mdCell(p.provider)} | ${p.total} | ${p.success} | ${p.partial} | ${p.rejected} | ${p.failed} | ${formatRate(p.successRate)} | ${formatRate(p.rejectRate)} | ${p.inputTokens}/${p.outputTokens} |`);
+    }
+    lines.push('');
+  }
+  
+  if (stats.files.length > 0) {
+    lines.push('## Most changed files', '', '| File | Changes |', '|------|--------:|');
+    for (const f of stats.files) {
+      lines.push(`| ${mdCell(f.file)} | ${f.changes} |`);
+    }
+    lines.push('');
+  }
+  
+  lines.push('## Entries', '',
+    '| Time | Id | Command | Result | Provider | Files | Instruction |',
+    '|------|----|---------|--------|----------|-------|-------------|');
+  for (const e of entries) {
+    const files = (e.files || []).map(displayPath).join(', ');
+    lines.push(`| ${mdCell(e.timestamp)} | ${mdCell(e.id)} | ${mdCell(e.command)} | ${mdCell(e.result)} | ${mdCell(e.provider)} | ${mdCell(files)} | ${mdCell(e.instruction)} |`);
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Exports history entries.
+ * 
+ * @param {Object[]} entries - Oldest first
+ * @param {string} format - json, csv, md or markdown
+ * @param {Object} options
+ * @param {ChainHead} options.head - Chain head of the full history
+ * @param {Object} [options.filter] - HistoryFilter the entries were selected with
+ * @returns {{success: boolean, content?: string, error?: string}}
+ */
+export function exportHistory(entries, format, { head, filter = {} }) {
+  switch (format) {
+    case 'json':
+      return { success: true, content: exportJSON(entries, head, filter) };
+    case 'csv':
+      return { success: true, content: exportCSV(entries, head) };
+    case 'md':
+    case 'markdown':
+      return { success: true, content: exportMarkdown(entries, head, filter) };
+    default:
+      return { success: false, error: `Unknown export format: ${format} (use json, csv or md)` };
+  }
+}
+
+export default {
+  displayPath,
+  computeStats,
+  formatRate,
+  describeFilter,
+  exportHistory
+};
@@ -17,6 +17,7 @@ import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
 import { getDefaultWorkspaceRoot, ensureWorkspaceRoot } from './workspace.js';
 import { readFileUTF8, writeFileUTF8, ensureDir, removeDir, fileExists } from './io.js';
+import { runTransaction } from './transaction.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -288,6 +289,20 @@ export function writeProjectFile(filePath, content) {
   return writeFileUTF8(filePath, content);
 }
 
+/**
+ * Writes all project files in one transaction: every file or none.
+ * 
+ * @param {Array<{path: string, content: string}>} files 
+ * @returns {{success: boolean, files?: string[], error?: string}}
+ */
+export function writeProjectFiles(files) {
+  return runTransaction('create', files.map(f => ({
+    type: 'write',
+    path: f.path,
+    content: f.content
+  })));
+}
+
 /**
  * Removes project directory on failure (rollback).
  * 
@@ -458,6 +473,7 @@ export default {
   validatePlan,
   createStructure,
   writeProjectFile,
+  writeProjectFiles,
   rollbackProject,
   createVenv,
   buildProjectPrompt,
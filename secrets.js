@@ -0,0 +1,218 @@
+/**
+ * Secret Detection Module
+ *
+ * Finds credentials in text going to and coming from a provider.
+ *
+ * Outgoing: providers/index.js redacts every match in a request before
+ * it leaves, replacing it with a placeholder such as
+ * [REDACTED:aws-access-key-id:1], and puts the original back in the
+ * response, so diffs still apply to the real file.
+ *
+ * Incoming: config.js validateAgainstPolicy rejects diffs whose added
+ * lines carry a secret the removed lines did not already have.
+ *
+ * Rules: the built-in ones below plus secret_patterns from config
+ * (name -> regex). A rule's named group "secret" marks the part that is
+ * redacted; without one the whole match is. secret_scanning: false
+ * turns detection off.
+ *
+ * Assignments to secret-looking names only count with a literal value:
+ * quoted anywhere, unquoted only in .env files (env-file applies when
+ * the file is known). References and calls such as os.environ,
+ * process.env, getenv(...) or settings.X are never secrets.
+ */
+
+import { matchesGlob } from './workspace.js';
+
+/**
+ * @typedef {Object} SecretRule
+ * @property {string} name - Shown in warnings and errors
+ * @property {RegExp} regex
+ * @property {string[]} [paths] - Only applies to files matching these globs
+ */
+
+/**
+ * @typedef {Object} SecretMatch
+ * @property {string} rule - Name of the rule that matched
+ * @property {string} value - The secret itself
+ * @property {number} start - Offset in the scanned text
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} SecretPolicy
+ * @property {boolean} enabled
+ * @property {Object<string, string>} patterns - User rules, name -> regex source
+ */
+
+/** Start of an assignment to a secret-looking name, up to the value */
+const SECRET_ASSIGNMENT = '^[ \\t]*(?:export[ \\t]+)?[A-Z0-9_]*(?:SECRET|PASSWORD|PASSWD|TOKEN|API_KEY|APIKEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIALS?)[A-Z0-9_]*[ \\t]*=[ \\t]*';
+
+/** A literal value: not an interpolation, a reference or a call */
+const SECRET_LITERAL = '(?![$<{%])(?!os\\.environ|process\\.env|settings\\.|[\\w.]+\\()[^\\s"\'#()]{8,}';
+
+/** Built-in rules, as regex sources (compiled with the g, m and d flags) */
+const BUILTIN_PATTERNS = {
+  'aws-access-key-id': '\\b(?:AKIA|ASIA)[0-9A-Z]{16}\\b',
+  'aws-secret-access-key': '(?:aws_secret_access_key|AWS_SECRET_ACCESS_KEY|aws_secret_key)["\']?\\s*[:=]\\s*["\']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])',
+  'private-key': '-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----(?:[\\s\\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----)?',
+  'jwt': '\\beyJ[A-Za-z0-9_-]{10,}\\.eyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}',
+  'env-assignment': `${SECRET_ASSIGNMENT}(?<quote>["'])(?<secret>${SECRET_LITERAL})\\k<quote>`,
+  'env-file': `${SECRET_ASSIGNMENT}["']?(?<secret>${SECRET_LITERAL})`
+};
+
+/** Built-in rules that only apply to some files */
+const BUILTIN_PATHS = {
+  'env-file': ['.env', '.env.*', '*.env']
+};
+
+/**
+ * Compiles the built-in rules plus user rules.
+ *
+ * @param {Object<string, string>} [patterns] - User rules, name -> regex source
+ * @returns {SecretRule[]}
+ */
+export function buildSecretRules(patterns = {}) {
+  return Object.entries({ ...BUILTIN_PATTERNS, ...patterns })
+    .map(([name, source]) => ({ name, regex: new RegExp(source, 'gmd'), paths: BUILTIN_PATHS[name] }));
+}
+
+/**
+ * Checks whether a rule applies to a file. Path-scoped rules need one.
+ *
+ * @param {SecretRule} rule
+ * @param {string} [filePath]
+ * @returns {boolean}
+ */
+function ruleApplies(rule, filePath) {
+  return !rule.paths || (!!filePath && rule.paths.some(pattern => matchesGlob(filePath, pattern)));
+}
+
+/** @type {SecretRule[]|null} Active rules; null = scanning off */
+let activeRules = buildSecretRules();
+
+/**
+ * Sets the rules used to redact outgoing requests (see config.js
+ * getSecretPolicy).
+ *
+ * @param {SecretPolicy} policy
+ */
+export function setSecretPolicy(policy) {
+  activeRules = policy.enabled ? buildSecretRules(policy.patterns) : null;
+}
+
+/**
+ * Finds secrets in text. Overlapping matches keep the earliest.
+ *
+ * @param {string} text
+ * @param {SecretRule[]|null} [rules] - Defaults to the active rules
+ * @param {string} [filePath] - File the text comes from, for path-scoped rules
+ * @returns {SecretMatch[]} In text order
+ */
+export function findSecrets(text, rules = activeRules, filePath) {
+  if (!rules || !text) return [];
+
+  const found = [];
+  for (const rule of rules.filter(r => ruleApplies(r, filePath))) {
+    for (const match of text.matchAll(rule.regex)) {
+      const [start, end] = match.indices.groups?.secret || match.indices[0];
+      if (end > start) {
+        found.push({ rule: rule.name, value: text.slice(start, end), start, end });
+      }
+    }
+  }
+
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  return found.filter((m, i) => !found.slice(0, i).some(prev => prev.end > m.start));
+}
+
+/**
+ * Replaces secrets in text with placeholders. The same secret gets the
+ * same placeholder everywhere the map is shared, and secrets already in
+ * the map are replaced even where no rule finds them (a .env value
+ * quoted inside a larger prompt, say).
+ *
+ * @param {string} text
+ * @param {Map<string, {rule: string, placeholder: string}>} redactions - Secret -> placeholder; updated in place
+ * @param {string} [filePath] - File the text comes from, for path-scoped rules
+ * @returns {string}
+ */
+export function redactSecrets(text, redactions, filePath) {
+  let known = text;
+  for (const [value, { placeholder }] of [...redactions].sort(([a], [b]) => b.length - a.length)) {
+    known = known.split(value).join(placeholder);
+  }
+
+  // A placeholder sitting where the secret was must not be taken for a new one
+  const placeholders = [...redactions.values()].map(r => r.placeholder);
+  const matches = findSecrets(known, activeRules, filePath)
+    .filter(m => !placeholders.some(p => m.value.includes(p)));
+  if (matches.length === 0) return known;
+
+  let result = '';
+  let last = 0;
+  for (const m of matches) {
+    if (!redactions.has(m.value)) {
+      redactions.set(m.value, { rule: m.rule, placeholder: `[REDACTED:${m.rule}:${redactions.size + 1}]` });
+    }
+    result += known.slice(last, m.start) + redactions.get(m.value).placeholder;
+    last = m.end;
+  }
+  return result + known.slice(last);
+}
+
+/**
+ * Puts redacted secrets back in place of their placeholders.
+ *
+ * @param {string} text
+ * @param {Map<string, {rule: string, placeholder: string}>} redactions
+ * @returns {string}
+ */
+export function restoreSecrets(text, redactions) {
+  let result = text;
+  for (const [value, { placeholder }] of redactions) {
+    result = result.split(placeholder).join(value);
+  }
+  return result;
+}
+
+/**
+ * Finds secrets a unified diff adds: in its added lines, and not already
+ * in its removed lines (a changed line keeping its secret is fine).
+ *
+ * @param {string} diff
+ * @param {SecretRule[]} rules
+ * @param {string} [filePath] - File the diff lands in (defaults to the +++ header path)
+ * @returns {Array<SecretMatch & {line: number}>} line is 1-based within the diff
+ */
+export function findAddedSecrets(diff, rules, filePath) {
+  const lines = diff.split('\n');
+  const header = lines.find(l => l.startsWith('+++ ') && !l.includes('/dev/null'));
+  const target = filePath || (header ? header.slice(4).trim().replace(/^b\//, '') : undefined);
+
+  const removed = lines.filter(l => l.startsWith('-') && !l.startsWith('---')).map(l => l.slice(1)).join('\n');
+  const existing = new Set(findSecrets(removed, rules, target).map(m => m.value));
+
+  const added = [];
+  const lineNumbers = [];
+  lines.forEach((l, i) => {
+    if (l.startsWith('+') && !l.startsWith('+++')) {
+      added.push(l.slice(1));
+      lineNumbers.push(i + 1);
+    }
+  });
+
+  const text = added.join('\n');
+  return findSecrets(text, rules, target)
+    .filter(m => !existing.has(m.value))
+    .map(m => ({ ...m, line: lineNumbers[text.slice(0, m.start).split('\n').length - 1] }));
+}
+
+export default {
+  buildSecretRules,
+  setSecretPolicy,
+  findSecrets,
+  redactSecrets,
+  restoreSecrets,
+  findAddedSecrets
+};
@@ -0,0 +1,72 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPatch } from '../applyDiff.js';
+
+const numbered = (count) => Array.from({ length: count }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+describe('applyPatch', () => {
+  test('applies a hunk at its stated line', () => {
+    const diff = '--- a/f\n+++ b/f\n@@ -2,3 +2,3 @@\n line 2\n-line 3\n+line three\n line 4\n';
+    const result = applyPatch(numbered(5), diff);
+
+    assert.equal(result.success, true);
+    assert.equal(result.patchedContent, 'line 1\nline 2\nline three\nline 4\nline 5\n');
+    assert.equal(result.hunks[0].offset, 0);
+  });
+
+  test('finds a hunk whose stated line is off and reports the offset', () => {
+    const diff = '--- a/f\n+++ b/f\n@@ -2,3 +2,3 @@\n line 6\n-line 7\n+line seven\n line 8\n';
+    const result = applyPatch(numbered(10), diff);
+
+    assert.equal(result.success, true);
+    assert.match(result.patchedContent, /line 6\nline seven\nline 8\n/);
+    assert.equal(result.hunks[0].line, 6);
+    assert.equal(result.hunks[0].offset, 4);
+    assert.equal(result.hunks[0].fuzz, 0);
+  });
+
+  test('ignores mismatched outer context lines up to the fuzz factor', () => {
+    const diff = '--- a/f\n+++ b/f\n@@ -2,5 +2,5 @@\n line two\n line 3\n-line 4\n+line four\n line 5\n line 6\n';
+
+    const strict = applyPatch(numbered(8), diff, { fuzz: 0, fuzzy: false });
+    assert.equal(strict.success, false);
+    assert.match(strict.error, /context not found/);
+
+    const fuzzed = applyPatch(numbered(8), diff, { fuzz: 1, fuzzy: false });
+    assert.equal(fuzzed.success, true);
+    assert.equal(fuzzed.patchedContent, numbered(8).replace('line 4\n', 'line four\n'));
+    assert.equal(fuzzed.hunks[0].fuzz, 1);
+  });
+
+  test('never ignores a removed line that does not match', () => {
+    const diff = '--- a/f\n+++ b/f\n@@ -2,3 +2,3 @@\n line 2\n-line 33\n+line three\n line 4\n';
+    const result = applyPatch(numbered(5), diff, { fuzz: 3, fuzzy: false });
+
+    assert.equal(result.success, false);
+    assert.equal(result.patchedContent, null);
+  });
+
+  test('drops the final newline when the new side says there is none', () => {
+    const diff = '--- a/f\n+++ b/f\n@@ -2,2 +2,2 @@\n line 2\n-line 3\n+line three\n\\ No newline at end of file\n';
+    const result = applyPatch(numbered(3), diff);
+
+    assert.equal(result.success, true);
+    assert.equal(result.patchedContent, 'line 1\nline 2\nline three');
+  });
+
+  test('adds the final newline when only the old side lacked one', () => {
+    const diff = '--- a/f\n+++ b/f\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n';
+    const result = applyPatch('a\nb', diff);
+
+    assert.equal(result.success, true);
+    assert.equal(result.patchedContent, 'a\nb\n');
+  });
+
+  test('keeps a missing final newline when the diff has no marker', () => {
+    const diff = '--- a/f\n+++ b/f\n@@ -1,2 +1,3 @@\n a\n+x\n b\n';
+    const result = applyPatch('a\nb', diff);
+
+    assert.equal(result.success, true);
+    assert.equal(result.patchedContent, 'a\nx\nb');
+  });
+});
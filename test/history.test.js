@@ -0,0 +1,106 @@
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setArclContext, getArclDir, getHistoryPath, recordCommand, verifyHistory, getChainHead } from '../history.js';
+
+let home;
+let savedHome;
+let project;
+
+/** Records `count` successful edits and returns their ids */
+function recordEdits(count) {
+  return Array.from({ length: count }, (_, i) => recordCommand({
+    command: 'edit',
+    files: path.join(project, 'app.js'),
+    instruction: `change ${i + 1}`,
+    provider: 'mock',
+    result: 'success'
+  }).id);
+}
+
+const readLines = () => fs.readFileSync(getHistoryPath(), 'utf8').trimEnd().split('\n');
+const writeLines = (lines) => fs.writeFileSync(getHistoryPath(), lines.join('\n') + '\n');
+
+before(() => {
+  savedHome = process.env.HOME;
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'arcl-history-'));
+  process.env.HOME = home;
+  project = path.join(home, 'arcl-projects', 'demo');
+  fs.mkdirSync(project, { recursive: true });
+  setArclContext(project);
+});
+
+after(() => {
+  setArclContext(null);
+  process.env.HOME = savedHome;
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(getArclDir(), { recursive: true, force: true });
+});
+
+describe('verifyHistory', () => {
+  test('accepts an untouched chain', () => {
+    recordEdits(3);
+    const result = verifyHistory();
+
+    assert.equal(result.valid, true);
+    assert.equal(result.entries, 3);
+    assert.equal(result.head, getChainHead().hash);
+  });
+
+  test('detects an entry changed after it was written', () => {
+    const ids = recordEdits(3);
+    const lines = readLines();
+    lines[1] = JSON.stringify({ ...JSON.parse(lines[1]), result: 'failed' });
+    writeLines(lines);
+
+    const result = verifyHistory();
+
+    assert.equal(result.valid, false);
+    assert.equal(result.broken.line, 2);
+    assert.equal(result.broken.id, ids[1]);
+    assert.match(result.broken.reason, /hash mismatch/);
+  });
+
+  test('detects an entry removed from the middle', () => {
+    const ids = recordEdits(3);
+    const lines = readLines();
+    writeLines([lines[0], lines[2]]);
+
+    const result = verifyHistory();
+
+    assert.equal(result.valid, false);
+    assert.equal(result.broken.id, ids[2]);
+    assert.match(result.broken.reason, /removed, inserted or reordered/);
+  });
+
+  test('detects hashes stripped from chained entries', () => {
+    recordEdits(2);
+    writeLines(readLines().map(line => {
+      const { hash, prev, ...entry } = JSON.parse(line);
+      return JSON.stringify(entry);
+    }));
+
+    const result = verifyHistory();
+
+    assert.equal(result.valid, false);
+    assert.equal(result.broken.line, 1);
+    assert.match(result.broken.reason, /no hash/);
+  });
+
+  test('detects entries removed from the end against a recorded head', () => {
+    recordEdits(3);
+    const head = getChainHead().hash;
+    writeLines(readLines().slice(0, 2));
+
+    assert.equal(verifyHistory().valid, true);
+
+    const result = verifyHistory({ anchor: head });
+    assert.equal(result.valid, false);
+    assert.match(result.broken.reason, /is not in the history/);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { setArclContext } from '../history.js';
+import { runTransaction, beginTransaction, stageWrite, getTransactionsDir, recoverTransactions } from '../transaction.js';
+
+let home;
+let savedHome;
+let project;
+
+/** A pid that belonged to a process which has exited */
+const deadPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+/**
+ * Leaves a transaction as a crash mid-commit would: journal marked
+ * committing, originals copied aside, the first target already written.
+ */
+function crashMidCommit(tx, pid) {
+  tx.ops.forEach((op, i) => {
+    if (fs.existsSync(op.path)) {
+      op.backupPath = path.join(tx.dir, 'backup', String(i));
+      fs.mkdirSync(path.dirname(op.backupPath), { recursive: true });
+      fs.copyFileSync(op.path, op.backupPath);
+    }
+  });
+  fs.copyFileSync(tx.ops[0].stagedPath, tx.ops[0].path);
+
+  const journal = { id: tx.id, command: tx.command, pid, state: 'committing', startedAt: tx.startedAt, ops: tx.ops };
+  fs.writeFileSync(path.join(tx.dir, 'journal.json'), JSON.stringify(journal));
+}
+
+const read = (name) => fs.readFileSync(path.join(project, name), 'utf8');
+
+before(() => {
+  savedHome = process.env.HOME;
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'arcl-tx-'));
+  process.env.HOME = home;
+  project = path.join(home, 'arcl-projects', 'demo');
+  fs.mkdirSync(project, { recursive: true });
+  setArclContext(project);
+});
+
+after(() => {
+  setArclContext(null);
+  process.env.HOME = savedHome;
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.writeFileSync(path.join(project, 'a.txt'), 'old a\n');
+  fs.writeFileSync(path.join(project, 'b.txt'), 'old b\n');
+});
+
+describe('runTransaction', () => {
+  test('commits every operation and cleans up its journal', () => {
+    const result = runTransaction('change', [
+      { type: 'write', path: path.join(project, 'a.txt'), content: 'new a\n' },
+      { type: 'write', path: path.join(project, 'sub', 'c.txt'), content: 'new c\n' },
+      { type: 'delete', path: path.join(project, 'b.txt') }
+    ]);
+
+    assert.equal(result.success, true);
+    assert.equal(read('a.txt'), 'new a\n');
+    assert.equal(read('sub/c.txt'), 'new c\n');
+    assert.equal(fs.existsSync(path.join(project, 'b.txt')), false);
+    assert.deepEqual(fs.readdirSync(getTransactionsDir()), []);
+  });
+
+  test('rolls every file back when one write fails', () => {
+    // A regular file where the second target needs a directory
+    fs.writeFileSync(path.join(project, 'blocker'), '');
+
+    const result = runTransaction('change', [
+      { type: 'write', path: path.join(project, 'a.txt'), content: 'new a\n' },
+      { type: 'write', path: path.join(project, 'fresh.txt'), content: 'fresh\n' },
+      { type: 'write', path: path.join(project, 'blocker', 'c.txt'), content: 'new c\n' }
+    ]);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Rolled back/);
+    assert.equal(read('a.txt'), 'old a\n');
+    assert.equal(fs.existsSync(path.join(project, 'fresh.txt')), false);
+    assert.deepEqual(fs.readdirSync(getTransactionsDir()), []);
+  });
+});
+
+describe('recoverTransactions', () => {
+  test('replays an interrupted commit whose staged files are intact', () => {
+    const { transaction: tx } = beginTransaction('change');
+    stageWrite(tx, path.join(project, 'a.txt'), 'new a\n');
+    stageWrite(tx, path.join(project, 'b.txt'), 'new b\n');
+    crashMidCommit(tx, deadPid());
+
+    const result = recoverTransactions();
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.recovered.map(r => r.action), ['replayed']);
+    assert.equal(read('a.txt'), 'new a\n');
+    assert.equal(read('b.txt'), 'new b\n');
+    assert.equal(fs.existsSync(tx.dir), false);
+  });
+
+  test('rolls back an interrupted commit that lost a staged file', () => {
+    const { transaction: tx } = beginTransaction('change');
+    stageWrite(tx, path.join(project, 'a.txt'), 'new a\n');
+    stageWrite(tx, path.join(project, 'b.txt'), 'new b\n');
+    crashMidCommit(tx, deadPid());
+    fs.rmSync(tx.ops[1].stagedPath);
+
+    const result = recoverTransactions();
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.recovered.map(r => r.action), ['rolled-back']);
+    assert.equal(read('a.txt'), 'old a\n');
+    assert.equal(read('b.txt'), 'old b\n');
+    assert.equal(fs.existsSync(tx.dir), false);
+  });
+
+  test('discards a pending transaction that never touched the project', () => {
+    const { transaction: tx } = beginTransaction('edit');
+    stageWrite(tx, path.join(project, 'a.txt'), 'new a\n');
+    const journalPath = path.join(tx.dir, 'journal.json');
+    fs.writeFileSync(journalPath, JSON.stringify({ ...JSON.parse(fs.readFileSync(journalPath, 'utf8')), pid: deadPid() }));
+
+    const result = recoverTransactions();
+
+    assert.deepEqual(result.recovered.map(r => r.action), ['discarded']);
+    assert.equal(read('a.txt'), 'old a\n');
+    assert.equal(fs.existsSync(tx.dir), false);
+  });
+
+  test('leaves a transaction alone while its owner is alive', () => {
+    const { transaction: tx } = beginTransaction('change');
+    stageWrite(tx, path.join(project, 'a.txt'), 'new a\n');
+    // The test runner's parent stands in for another arcl process
+    crashMidCommit(tx, process.ppid);
+
+    const result = recoverTransactions();
+
+    assert.deepEqual(result.recovered, []);
+    assert.equal(fs.existsSync(tx.dir), true);
+    fs.rmSync(tx.dir, { recursive: true });
+  });
+});
@@ -0,0 +1,522 @@
+/**
+ * Transaction Module
+ *
+ * All-or-nothing filesystem mutations across several files.
+ *
+ * Protocol:
+ * 1. begin   → journal created under .arcl/transactions/<id>/ (state: pending)
+ * 2. stage   → new content written into the transaction directory
+ * 3. commit  → originals copied aside, journal marked "committing",
+ *              targets written, journal marked "committed", directory removed
+ *
+ * If arcl dies mid-commit, recoverTransactions() on the next run replays
+ * a "committing" journal whose staged files are intact, and rolls it back
+ * otherwise. A failed commit marks its journal "rolling-back" before
+ * undoing anything, so recovery only ever finishes that rollback. Pending
+ * journals never touched the project and are discarded. Every journal
+ * names the process that owns it; recovery leaves a journal alone while
+ * that process is alive, so a transaction in flight in another arcl
+ * process is never discarded or rolled back under it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from './logger.js';
+import { readFileUTF8, writeFileUTF8, copyFileUTF8, fileExists, deleteFile, ensureDir, removeDir, getFileFormat, isProcessAlive } from './io.js';
+import { getArclDir, listArclDirs } from './history.js';
+
+/**
+ * @typedef {Object} TransactionOp
+ * @property {'write'|'delete'} type - Operation type
+ * @property {string} path - Absolute target path
+ * @property {string|null} stagedPath - Staged content (write only)
+ * @property {string|null} backupPath - Copy of the original (null if target did not exist)
+ * @property {string[]} createdDirs - Parent directories the write had to create
+ */
+
+/**
+ * @typedef {Object} Transaction
+ * @property {string} id - Transaction identifier
+ * @property {string} command - arcl command that opened it
+ * @property {number} pid - Process that owns it
+ * @property {string} dir - Transaction directory
+ * @property {'pending'|'committing'|'rolling-back'|'committed'} state - Journal state
+ * @property {string} startedAt - ISO 8601 timestamp
+ * @property {TransactionOp[]} ops - Staged operations, in order
+ */
+
+/**
+ * Gets the directory holding transaction journals.
+ *
+ * @param {string} [arclDir] - .arcl directory (defaults to the current context's)
+ * @returns {string}
+ */
+export function getTransactionsDir(arclDir = getArclDir()) {
+  return path.join(arclDir, 'transactions');
+}
+
+/**
+ * Generates a transaction ID.
+ *
+ * @returns {string}
+ */
+function generateId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * Persists the journal for a transaction.
+ *
+ * @param {Transaction} tx
+ * @returns {{success: boolean, error?: string}}
+ */
+function writeJournal(tx) {
+  const journal = {
+    id: tx.id,
+    command: tx.command,
+    pid: tx.pid,
+    state: tx.state,
+    startedAt: tx.startedAt,
+    ops: tx.ops
+  };
+  return writeFileUTF8(path.join(tx.dir, 'journal.json'), JSON.stringify(journal, null, 2));
+}
+
+/**
+ * Lists the missing ancestor directories of a path, deepest first.
+ *
+ * @param {string} filePath
+ * @returns {string[]}
+ */
+function missingParents(filePath) {
+  const missing = [];
+  let dir = path.dirname(filePath);
+
+  while (!fileExists(dir)) {
+    missing.push(dir);
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  return missing;
+}
+
+/**
+ * Opens a new transaction.
+ *
+ * @param {string} command - arcl command name (edit, add, remove, create, change)
+ * @returns {{success: boolean, transaction?: Transaction, error?: string}}
+ */
+export function beginTransaction(command) {
+  const id = generateId();
+  const dir = path.join(getTransactionsDir(), id);
+
+  const dirResult = ensureDir(dir);
+  if (!dirResult.success) {
+    return { success: false, error: `Could not create transaction directory: ${dirResult.error}` };
+  }
+
+  const tx = {
+    id,
+    command,
+    pid: process.pid,
+    dir,
+    state: 'pending',
+    startedAt: new Date().toISOString(),
+    ops: []
+  };
+
+  const journalResult = writeJournal(tx);
+  if (!journalResult.success) {
+    removeDir(dir);
+    return { success: false, error: `Could not write transaction journal: ${journalResult.error}` };
+  }
+
+  return { success: true, transaction: tx };
+}
+
+/**
+ * Stages new content for a file. Nothing outside .arcl is touched.
+ *
+ * @param {Transaction} tx
+ * @param {string} filePath - Target file
+ * @param {string} content - Full new content
+ * @param {Object} [format] - io.js FileFormat to write in (defaults to the target's own)
+ * @returns {{success: boolean, error?: string}}
+ */
+export function stageWrite(tx, filePath, content, format = getFileFormat(filePath)) {
+  const index = tx.ops.length;
+  const stagedPath = path.join(tx.dir, 'staged', String(index));
+
+  // Staged bytes are copied verbatim, so encode them the way the target wants
+  const writeResult = writeFileUTF8(stagedPath, content, { format });
+  if (!writeResult.success) {
+    return { success: false, error: `Could not stage ${filePath}: ${writeResult.error}` };
+  }
+
+  tx.ops.push({
+    type: 'write',
+    path: path.resolve(filePath),
+    stagedPath,
+    backupPath: null,
+    createdDirs: []
+  });
+
+  return writeJournal(tx);
+}
+
+/**
+ * Stages a byte-for-byte copy of another file as new content.
+ *
+ * @param {Transaction} tx
+ * @param {string} filePath - Target file
+ * @param {string} sourcePath - File whose bytes the target should get
+ * @returns {{success: boolean, error?: string}}
+ */
+export function stageCopy(tx, filePath, sourcePath) {
+  const index = tx.ops.length;
+  const stagedPath = path.join(tx.dir, 'staged', String(index));
+
+  const copyResult = copyFileUTF8(sourcePath, stagedPath);
+  if (!copyResult.success) {
+    return { success: false, error: `Could not stage ${filePath}: ${copyResult.error}` };
+  }
+
+  tx.ops.push({
+    type: 'write',
+    path: path.resolve(filePath),
+    stagedPath,
+    backupPath: null,
+    createdDirs: []
+  });
+
+  return writeJournal(tx);
+}
+
+/**
+ * Stages deletion of a file.
+ *
+ * @param {Transaction} tx
+ * @param {string} filePath - File to delete
+ * @returns {{success: boolean, error?: string}}
+ */
+export function stageDelete(tx, filePath) {
+  const absolutePath = path.resolve(filePath);
+
+  if (!fileExists(absolutePath)) {
+    return { success: false, error: `Cannot delete missing file: ${absolutePath}` };
+  }
+
+  tx.ops.push({
+    type: 'delete',
+    path: absolutePath,
+    stagedPath: null,
+    backupPath: null,
+    createdDirs: []
+  });
+
+  return writeJournal(tx);
+}
+
+/**
+ * Applies one operation to the filesystem. Safe to repeat.
+ *
+ * @param {TransactionOp} op
+ * @returns {{success: boolean, error?: string}}
+ */
+function applyOp(op) {
+  if (op.type === 'delete') {
+    return fileExists(op.path) ? deleteFile(op.path) : { success: true };
+  }
+  return copyFileUTF8(op.stagedPath, op.path);
+}
+
+/**
+ * Reverts one operation from its backup.
+ *
+ * @param {TransactionOp} op
+ * @returns {{success: boolean, error?: string}}
+ */
+function revertOp(op) {
+  if (op.backupPath) {
+    return copyFileUTF8(op.backupPath, op.path);
+  }
+
+  // Target did not exist before: remove it and any directories we created
+  const result = fileExists(op.path) ? deleteFile(op.path) : { success: true };
+  for (const dir of op.createdDirs) {
+    try {
+      fs.rmdirSync(dir);
+    } catch {
+      // Not empty or already gone - leave it
+    }
+  }
+  return result;
+}
+
+/**
+ * Rolls back every operation in a journal, newest first.
+ *
+ * @param {Transaction} tx
+ * @returns {string[]} Paths that could not be restored
+ */
+function rollbackOps(tx) {
+  const failed = [];
+
+  for (const op of [...tx.ops].reverse()) {
+    const result = revertOp(op);
+    if (!result.success) {
+      log('ERROR', `Rollback failed for ${op.path}: ${result.error}`);
+      failed.push(op.path);
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * Commits a transaction: all staged operations land, or none do.
+ *
+ * @param {Transaction} tx
+ * @returns {{success: boolean, files?: string[], error?: string}}
+ */
+export function commitTransaction(tx) {
+  if (tx.state !== 'pending') {
+    return { success: false, error: `Transaction ${tx.id} is already ${tx.state}` };
+  }
+
+  // Copy originals aside before anything is written
+  for (let i = 0; i < tx.ops.length; i++) {
+    const op = tx.ops[i];
+
+    if (fileExists(op.path)) {
+      const backupPath = path.join(tx.dir, 'backup', String(i));
+      const copyResult = copyFileUTF8(op.path, backupPath);
+      if (!copyResult.success) {
+        abortTransaction(tx);
+        return { success: false, error: `Could not back up ${op.path}: ${copyResult.error}` };
+      }
+      op.backupPath = backupPath;
+    } else if (op.type === 'write') {
+      op.createdDirs = missingParents(op.path);
+    }
+  }
+
+  // Point of no return: from here on, recovery replays or rolls back
+  tx.state = 'committing';
+  const journalResult = writeJournal(tx);
+  if (!journalResult.success) {
+    abortTransaction(tx);
+    return { success: false, error: `Could not write transaction journal: ${journalResult.error}` };
+  }
+
+  for (const op of tx.ops) {
+    const result = applyOp(op);
+
+    if (!result.success) {
+      log('ERROR', `Transaction ${tx.id} failed at ${op.path}: ${result.error}. Rolling back...`);
+
+      // The user is told this failed, so recovery must never replay it
+      tx.state = 'rolling-back';
+      writeJournal(tx);
+      const failed = rollbackOps(tx);
+
+      if (failed.length === 0) {
+        removeDir(tx.dir);
+        return { success: false, error: `${op.path}: ${result.error}. Rolled back.` };
+      }
+
+      // Keep the journal so recovery can retry on the next run
+      log('ERROR', `CRITICAL: Rollback incomplete. Journal kept at: ${tx.dir}`);
+      return { success: false, error: `${op.path}: ${result.error}. ROLLBACK FAILED for: ${failed.join(', ')}` };
+    }
+  }
+
+  tx.state = 'committed';
+  writeJournal(tx);
+  removeDir(tx.dir);
+
+  log('INFO', `Committed transaction ${tx.id} (${tx.ops.length} file(s))`);
+  return { success: true, files: tx.ops.map(op => op.path) };
+}
+
+/**
+ * Discards a transaction that has not started committing.
+ *
+ * @param {Transaction} tx
+ */
+export function abortTransaction(tx) {
+  removeDir(tx.dir);
+}
+
+/**
+ * Stages and commits a list of operations in one transaction.
+ *
+ * @param {string} command - arcl command name
+ * @param {Array<{type: 'write'|'delete', path: string, content?: string, format?: Object, source?: string}>} ops
+ *   A write with `source` copies that file's bytes instead of encoding `content`
+ * @returns {{success: boolean, files?: string[], error?: string}}
+ */
+export function runTransaction(command, ops) {
+  const beginResult = beginTransaction(command);
+  if (!beginResult.success) {
+    return beginResult;
+  }
+  const tx = beginResult.transaction;
+
+  for (const op of ops) {
+    const stageResult = op.type === 'delete'
+      ? stageDelete(tx, op.path)
+      : op.source
+        ? stageCopy(tx, op.path, op.source)
+        : stageWrite(tx, op.path, op.content, op.format);
+
+    if (!stageResult.success) {
+      abortTransaction(tx);
+      return { success: false, error: stageResult.error };
+    }
+  }
+
+  return commitTransaction(tx);
+}
+
+/** A transaction directory without a journal this old is abandoned, not being set up */
+const JOURNAL_GRACE_MS = 60000;
+
+/**
+ * Recovers the transactions in one journal directory.
+ *
+ * @param {string} txRoot - A .arcl/transactions directory
+ * @param {Array<{id: string, command: string, action: string}>} recovered - Outcomes; appended to
+ * @returns {{success: boolean, error?: string}}
+ */
+function recoverTransactionsIn(txRoot, recovered) {
+  if (!fileExists(txRoot)) {
+    return { success: true };
+  }
+
+  let ids;
+  try {
+    ids = fs.readdirSync(txRoot);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+
+  for (const id of ids) {
+    const dir = path.join(txRoot, id);
+    const readResult = readFileUTF8(path.join(dir, 'journal.json'));
+
+    let tx;
+    try {
+      if (!readResult.success) throw new Error(readResult.error);
+      tx = { ...JSON.parse(readResult.content), dir };
+    } catch {
+      // A journal that never finished writing belongs to a pending
+      // transaction - possibly one another process is opening right now
+      try {
+        if (Date.now() - fs.statSync(dir).mtimeMs < JOURNAL_GRACE_MS) continue;
+      } catch {
+        continue; // Gone meanwhile
+      }
+      removeDir(dir);
+      recovered.push({ id, command: 'unknown', action: 'discarded' });
+      continue;
+    }
+
+    // Still running in another process (journals from before pids were recorded have none)
+    if (Number.isInteger(tx.pid) && tx.pid !== process.pid && isProcessAlive(tx.pid)) {
+      continue;
+    }
+
+    if (tx.state !== 'committing' && tx.state !== 'rolling-back') {
+      removeDir(dir);
+      recovered.push({ id, command: tx.command, action: 'discarded' });
+      continue;
+    }
+
+    const canReplay = tx.state === 'committing' &&
+      tx.ops.every(op => op.type === 'delete' || fileExists(op.stagedPath));
+
+    if (canReplay) {
+      const failed = tx.ops.filter(op => !applyOp(op).success);
+      if (failed.length === 0) {
+        removeDir(dir);
+        log('INFO', `Replayed interrupted transaction ${id}`);
+        recovered.push({ id, command: tx.command, action: 'replayed' });
+        continue;
+      }
+    }
+
+    if (tx.state !== 'rolling-back') {
+      tx.state = 'rolling-back';
+      writeJournal(tx);
+    }
+
+    const failed = rollbackOps(tx);
+    if (failed.length === 0) {
+      removeDir(dir);
+      log('INFO', `Rolled back interrupted transaction ${id}`);
+      recovered.push({ id, command: tx.command, action: 'rolled-back' });
+    } else {
+      recovered.push({ id, command: tx.command, action: 'failed' });
+    }
+  }
+
+  return { success: true };
+}
+
+/**
+ * Recovers transactions left behind by a crashed arcl process, in every
+ * .arcl directory (see history.js listArclDirs): a journal stays where
+ * its target files' project keeps state, whichever directory arcl is
+ * run from next.
+ *
+ * A journal whose owning process is still alive is skipped.
+ *
+ * - pending:    nothing was written, discard
+ * - committing: replay if every staged file is present, else roll back
+ * - rolling-back: a failed commit, roll back (never replayed)
+ * - committed:  only cleanup was missed, discard
+ *
+ * @returns {{success: boolean, recovered: Array<{id: string, command: string, action: string}>, error?: string}}
+ */
+export function recoverTransactions() {
+  const recovered = [];
+  const stuckDirs = [];
+
+  for (const arclDir of listArclDirs()) {
+    const txRoot = getTransactionsDir(arclDir);
+    const before = recovered.filter(r => r.action === 'failed').length;
+    const result = recoverTransactionsIn(txRoot, recovered);
+    if (!result.success) {
+      return { success: false, recovered, error: `${txRoot}: ${result.error}` };
+    }
+    if (recovered.filter(r => r.action === 'failed').length > before) {
+      stuckDirs.push(txRoot);
+    }
+  }
+
+  const stuck = recovered.filter(r => r.action === 'failed');
+  if (stuck.length > 0) {
+    return {
+      success: false,
+      recovered,
+      error: `Could not recover transaction(s): ${stuck.map(r => r.id).join(', ')}. Journals kept in ${stuckDirs.join(', ')}`
+    };
+  }
+
+  return { success: true, recovered };
+}
+
+export default {
+  getTransactionsDir,
+  beginTransaction,
+  stageWrite,
+  stageCopy,
+  stageDelete,
+  commitTransaction,
+  abortTransaction,
+  runTransaction,
+  recoverTransactions
+};
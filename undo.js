@@ -0,0 +1,237 @@
+/**
+ * Undo Module
+ *
+ * Reverts arcl commands from history. Each history entry lists the files
+ * it changed with content hashes before and after; the "before" content
+ * is a restore point in .arcl/backups.
+ *
+ * Reverting several commands puts every file back to what it was before
+ * the earliest of them. A file that no longer matches what arcl last left
+ * there was changed outside arcl; the revert refuses unless forced. The
+ * content being replaced is backed up first either way, so an undo can
+ * itself be reverted by hand.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from './logger.js';
+import { fileExists } from './io.js';
+import { runTransaction } from './transaction.js';
+import { storeBackup, getFileHash, getObjectPath } from './backup.js';
+import { getDefaultWorkspaceRoot } from './workspace.js';
+
+/** Commands that revert others; they are never undone themselves */
+const REVERT_COMMANDS = ['undo', 'rollback'];
+
+/**
+ * @typedef {Object} RevertFile
+ * @property {string} file - Absolute path
+ * @property {string|null} expected - Hash arcl last left there (null = no file)
+ * @property {string|null} actual - Hash on disk now (null = no file)
+ * @property {string|null} target - Hash to restore (null = delete the file)
+ */
+
+/**
+ * @typedef {Object} RevertPlan
+ * @property {Object[]} entries - History entries to revert, newest first
+ * @property {RevertFile[]} files - Every file they touched
+ * @property {RevertFile[]} conflicts - Files changed outside arcl since
+ * @property {RevertFile[]} unavailable - Files whose restore point is gone or damaged
+ */
+
+/**
+ * Collects the ids of entries an undo or rollback already reverted.
+ *
+ * @param {Object[]} entries - Full history, oldest first
+ * @returns {Set<string>}
+ */
+function revertedIds(entries) {
+  const ids = new Set();
+  for (const entry of entries) {
+    if (REVERT_COMMANDS.includes(entry.command) && entry.reverts) {
+      entry.reverts.forEach(id => ids.add(id));
+    }
+  }
+  return ids;
+}
+
+/**
+ * Checks whether an entry changed files and has not been reverted.
+ *
+ * @param {Object} entry
+ * @param {Set<string>} reverted
+ * @returns {boolean}
+ */
+function isUndoable(entry, reverted) {
+  return Boolean(entry.id)
+    && Array.isArray(entry.changes) && entry.changes.length > 0
+    && !REVERT_COMMANDS.includes(entry.command)
+    && !reverted.has(entry.id);
+}
+
+/**
+ * Selects the last N commands that can be undone.
+ *
+ * @param {Object[]} entries - Full history, oldest first
+ * @param {number} count
+ * @returns {{success: boolean, entries?: Object[], error?: string}} Entries newest first
+ */
+export function selectLast(entries, count) {
+  const reverted = revertedIds(entries);
+  const undoable = entries.filter(e => isUndoable(e, reverted));
+
+  if (undoable.length === 0) {
+    return { success: false, error: 'Nothing to undo' };
+  }
+  if (count > undoable.length) {
+    return { success: false, error: `Only ${undoable.length} command(s) can be undone` };
+  }
+
+  return { success: true, entries: undoable.slice(-count).reverse() };
+}
+
+/**
+ * Selects every command after a history entry that can be undone.
+ *
+ * @param {Object[]} entries - Full history, oldest first
+ * @param {string} entryId - Entry id or unique prefix
+ * @returns {{success: boolean, target?: Object, entries?: Object[], error?: string}} Entries newest first
+ */
+export function selectSince(entries, entryId) {
+  const matches = entries.filter(e => e.id && e.id.startsWith(entryId));
+  if (matches.length === 0) {
+    return { success: false, error: `No history entry with id ${entryId}` };
+  }
+  if (matches.length > 1) {
+    return { success: false, error: `Entry id ${entryId} is ambiguous (${matches.map(e => e.id).join(', ')})` };
+  }
+
+  const target = matches[0];
+  const reverted = revertedIds(entries);
+  if (reverted.has(target.id)) {
+    return { success: false, error: `Entry ${target.id} was already undone; roll back to an earlier entry` };
+  }
+
+  const later = entries.slice(entries.indexOf(target) + 1).filter(e => isUndoable(e, reverted));
+  if (later.length === 0) {
+    return { success: false, error: `Nothing to roll back after ${target.id}` };
+  }
+
+  return { success: true, target, entries: later.reverse() };
+}
+
+/**
+ * Works out what reverting the given entries does to each file.
+ *
+ * @param {Object[]} history - Full history, oldest first
+ * @param {Object[]} entries - Entries to revert, newest first
+ * @returns {RevertPlan}
+ */
+export function planRevert(history, entries) {
+  const files = new Map();
+
+  // Newest first, so the oldest entry's "before" is the one that sticks
+  for (const entry of entries) {
+    for (const change of entry.changes) {
+      files.set(change.file, { file: change.file, expected: null, actual: null, target: change.before });
+    }
+  }
+
+  // What arcl last left in each file, including earlier undos
+  for (const entry of history) {
+    for (const change of entry.changes || []) {
+      if (files.has(change.file)) {
+        files.get(change.file).expected = change.after;
+      }
+    }
+  }
+
+  const plan = { entries, files: [...files.values()], conflicts: [], unavailable: [] };
+
+  for (const f of plan.files) {
+    f.actual = getFileHash(f.file);
+    if (f.actual !== f.expected) {
+      plan.conflicts.push(f);
+    }
+    if (f.target && f.actual !== f.target && getFileHash(getObjectPath(f.target)) !== f.target) {
+      plan.unavailable.push(f);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Removes directories a deleted file leaves empty, up to the workspace root.
+ *
+ * @param {string} filePath - Deleted file
+ */
+function removeEmptyParents(filePath) {
+  const root = getDefaultWorkspaceRoot();
+  let dir = path.dirname(filePath);
+
+  while (dir.startsWith(root + path.sep)) {
+    try {
+      fs.rmdirSync(dir);
+    } catch {
+      // Not empty or already gone
+      return;
+    }
+    log('INFO', `Removed empty directory: ${dir}`);
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Carries out a revert plan in one transaction. Content being replaced
+ * is backed up first.
+ *
+ * @param {RevertPlan} plan
+ * @param {string} command - undo or rollback
+ * @returns {{success: boolean, changes?: Array<{file: string, before: string|null, after: string|null}>, error?: string}}
+ */
+export function applyRevert(plan, command) {
+  const ops = [];
+  const changes = [];
+
+  for (const f of plan.files) {
+    if (f.actual === f.target) continue;
+
+    let before = null;
+    if (f.actual !== null) {
+      const backup = storeBackup(f.file, command);
+      if (!backup.success) {
+        return { success: false, error: `Could not back up ${f.file}: ${backup.error}` };
+      }
+      before = backup.hash;
+    }
+
+    ops.push(f.target
+      ? { type: 'write', path: f.file, source: getObjectPath(f.target) }
+      : { type: 'delete', path: f.file });
+    changes.push({ file: f.file, before, after: f.target });
+  }
+
+  if (ops.length > 0) {
+    const txResult = runTransaction(command, ops);
+    if (!txResult.success) {
+      return { success: false, error: txResult.error };
+    }
+  }
+
+  for (const op of ops) {
+    if (op.type === 'delete' && !fileExists(op.path)) {
+      removeEmptyParents(op.path);
+    }
+  }
+
+  log('INFO', `Reverted ${plan.entries.length} command(s), ${changes.length} file(s)`);
+  return { success: true, changes };
+}
+
+export default {
+  selectLast,
+  selectSince,
+  planRevert,
+  applyRevert
+};
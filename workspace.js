@@ -3,12 +3,39 @@
  * 
  * Cross-platform workspace management for arcl CLI.
  * Handles default locations, project initialization, and boundary enforcement.
+ * 
+ * Besides the workspace boundary, validatePath applies the path policy
+ * (protected_paths / editable_paths in config.js) to every path arcl is
+ * about to change.
  */
 
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
 
+/** @type {function(string): {allowed: boolean, reason?: string}|null} */
+let pathPolicy = null;
+
+/**
+ * Sets the policy deciding which paths arcl may change (see config.js
+ * getPathPolicy).
+ * 
+ * @param {function(string): {allowed: boolean, reason?: string}|null} resolver - null allows every path
+ */
+export function setPathPolicy(resolver) {
+  pathPolicy = resolver;
+}
+
+/**
+ * Checks a path against the path policy.
+ * 
+ * @param {string} absolutePath
+ * @returns {{allowed: boolean, reason?: string}}
+ */
+export function checkPathPolicy(absolutePath) {
+  return pathPolicy ? pathPolicy(path.resolve(absolutePath)) : { allowed: true };
+}
+
 /**
  * Gets the default workspace root based on OS.
  * 
@@ -167,7 +194,8 @@ export function listProjects() {
 }
 
 /**
- * Validates that a path is within the current workspace/project.
+ * Validates that a path is within the current workspace/project and
+ * that the path policy lets arcl change it.
  * 
  * @param {string} targetPath - Path to validate
  * @param {Object} [options] - Options
@@ -207,9 +235,86 @@ export function validatePath(targetPath, options = {}) {
     };
   }
   
+  // History, backups and config are arcl's own; never edited through it
+  if (path.relative(boundaryPath, absolutePath).split(path.sep).includes('.arcl')) {
+    return { 
+      valid: false, 
+      error: `Path is inside an .arcl directory: ${absolutePath}` 
+    };
+  }
+  
+  const policy = checkPathPolicy(absolutePath);
+  if (!policy.allowed) {
+    return { valid: false, error: `Path blocked by policy: ${policy.reason}` };
+  }
+  
   return { valid: true, absolutePath };
 }
 
+/**
+ * Converts a glob to a regular expression.
+ * `**` matches across directories, `*` and `?` stay within one,
+ * `{a,b}` is an alternation.
+ * 
+ * @param {string} pattern - Glob with forward slashes
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+  
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    
+    if (ch === '*' && pattern[i + 1] === '*') {
+      // "**/" may match zero directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '{') {
+      source += '(?:';
+      inGroup = true;
+    } else if (ch === '}' && inGroup) {
+      source += ')';
+      inGroup = false;
+    } else if (ch === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Tests a path against a glob. Patterns without a slash match the
+ * file name at any depth, like .gitignore ("*.cs" matches "src/App.cs");
+ * a trailing slash matches everything under a directory.
+ * 
+ * @param {string} relativePath - Path relative to the project root
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+export function matchesGlob(relativePath, pattern) {
+  const normalized = relativePath.split(path.sep).join('/').replace(/^\.\//, '');
+  let glob = pattern.replace(/^\.?\//, '');
+  if (glob.endsWith('/')) glob += '**';
+  
+  if (!glob.includes('/')) {
+    return globToRegExp(glob).test(normalized.split('/').pop());
+  }
+  return globToRegExp(glob).test(normalized);
+}
+
 /**
  * Lists contents of current directory (for arcl ls).
  * 
@@ -282,12 +387,15 @@ export function buildTree(dir = process.cwd(), maxDepth = 3, prefix = '', curren
 }
 
 export default {
+  setPathPolicy,
+  checkPathPolicy,
   getDefaultWorkspaceRoot,
   ensureWorkspaceRoot,
   getCurrentProject,
   initProject,
   listProjects,
   validatePath,
+  matchesGlob,
   listDirectory,
   buildTree
 };